@@ -7,6 +7,34 @@
 // - Timeouts increased + retry with backoff
 // - Fallback on timeout is CONTEXTUAL (visit/price) and asks only what's missing
 // - Debug endpoints to inspect in-memory conversations
+// - Twilio signature validation + MessageSid dedupe on the webhook
+// - Media (photos/voice notes/location pins) recorded on the lead; audio transcribed for the AI
+// - Visits: concrete slots offered from a local calendar, booked/rescheduled/cancelled by chat
+// - After handoff: advisor <-> customer relay by short ref (#REF), with #cerrar / #bot commands
+// - Follow-up nudges for stalled leads (24h window aware, max attempts, quiet hours)
+// - Opt-out (BAJA/STOP) / opt-in (ALTA) consent registry; sendWhatsApp never writes to opted-out numbers
+// - Admin API (/admin/leads/...): close, reopen, wipe, edit, notes, manual reply, pause/resume
+//   (closed = done for good: inbound is recorded, the bot and follow-ups stay quiet until a reopen)
+// - Leads persisted via lib/leadStore (coalesced async writes, flushed on shutdown) and rehydrated on boot
+// - Quote items (room/product/size/mount/motor) captured from free text, asked one at a time, tabled for the advisor
+// - Optional rough price ranges (PRICE_ESTIMATES_ENABLED) from a local price table, per-product opt-in
+// - Multi-advisor routing by zone/product/handoff type (round-robin or least-loaded), sticky per lead
+// - Lead lifecycle events -> signed outbound webhooks (outbox + retries); CSV/JSON export for the CRM
+// - Business calendar (hours, holidays, closures): after-hours replies promise the next opening,
+//   advisor notifications are held and sent as a digest when we open
+// - Metrics: Prometheus /metrics (volume, AI latency/retries/fallbacks, handoffs, funnel) + /metrics/daily JSON
+// - Operator inbox (/inbox): live lead list + threads over SSE, take over / reply / give back to the bot
+// - Multi-tenant: the inbound To number picks the store/brand (sender, persona, facts, handoff fields,
+//   advisors, models, catalog, price table, visit calendar); leads, files and metrics are namespaced per tenant
+// - Debounce window per lead: a burst of short messages gets one merged AI turn and a single reply
+// - Abuse protection: per-number + global AI rate limits, queued bursts coalesced into one AI turn,
+//   daily AI token/cost budget per lead, flooding numbers auto-muted with an admin alert
+// - Qualification flow (config/qualification.json): lead fields + handoff types defined once; the AI schema,
+//   prompt, readiness checks, fallback questions and handoff message are all built from it
+// - Long chats: a rolling summary of what left the history window goes into the prompt; handoffs are
+//   followed by an AI brief for the advisor (wants, constraints, objections, rooms, next step)
+// - LLM providers (OpenAI, OpenAI-compatible local endpoint, deterministic rules) with a circuit breaker:
+//   an outage is skipped right away instead of waiting out timeouts; each lead logs who answered
 
 require("dotenv").config();
 
@@ -14,24 +42,97 @@ const fs = require("fs");
 const path = require("path");
 
 const OpenAI = require("openai");
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+let openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+let localLlm = null; // OpenAI-compatible local endpoint, created on first use
 
 const twilio = require("twilio");
-const client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+let client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+
+// Test harness hook: swap the OpenAI / Twilio clients for local fakes
+function setClients(overrides = {}) {
+  if (overrides.openai) openai = overrides.openai;
+  if (overrides.localLlm) localLlm = overrides.localLlm;
+  if (overrides.client) client = overrides.client;
+}
 
 const express = require("express");
 const bodyParser = require("body-parser");
 
+const { createLeadStore } = require("./lib/leadStore");
+const { createSignatureValidator, createSidDedupe } = require("./lib/twilioWebhook");
+const {
+  parseInboundMedia,
+  parseInboundLocation,
+  zoneFromLocation,
+  mapsLink,
+  summarizeMediaCounts,
+  describeForAI,
+  transcribeAudio,
+} = require("./lib/media");
+const { createScheduler, detectAppointmentChange } = require("./lib/scheduling");
+const { parseDecision } = require("./lib/decision");
+const { normalizeText } = require("./lib/text");
+const { generateRef, parseAdvisorMessage, ADVISOR_HELP } = require("./lib/relay");
+const { isStalled, missingFields, nudgeText, inSessionWindow, inQuietHours } = require("./lib/followups");
+const { createConsentRegistry, detectConsentCommand } = require("./lib/consent");
+const { createKnowledgeBase, formatForPrompt } = require("./lib/knowledge");
+const { createPriceEstimator, formatMoney } = require("./lib/pricing");
+const { nextMissingQuestion, formatQuoteTable } = require("./lib/quote");
+const { createRouter } = require("./lib/routing");
+const { createEventBus, parseWebhookList } = require("./lib/events");
+const { leadExportColumns, toCsv } = require("./lib/export");
+const { createBusinessCalendar } = require("./lib/businessHours");
+const { createNotificationQueue, buildDigest } = require("./lib/digest");
+const { createMetrics } = require("./lib/metrics");
+const { createRateLimiter, parseModelPrices, aiCostUsd } = require("./lib/rateLimit");
+const { createSseHub } = require("./lib/sse");
+const { createTenantRegistry } = require("./lib/tenants");
+const { createQualification } = require("./lib/qualification");
+const {
+  BRIEF_INSTRUCTIONS,
+  BRIEF_TEXT_FORMAT,
+  formatBrief,
+  parseBrief,
+  speaker,
+  summaryBatch,
+  summaryInstructions,
+} = require("./lib/summary");
+const {
+  createCompatProvider,
+  createLlm,
+  createOpenAIProvider,
+  createRulesProvider,
+} = require("./lib/llm");
+
 const app = express();
 app.use(bodyParser.urlencoded({ extended: false }));
+app.use(bodyParser.json()); // admin API
 
 // ======= Config =======
 const TWILIO_WHATSAPP_FROM = "whatsapp:+14155238886";
-const HANDOFF_TO = process.env.HANDOFF_TO || ""; // whatsapp:+549...
+const HANDOFF_TO = process.env.HANDOFF_TO || ""; // whatsapp:+549... (default advisor when there's no routing table)
+// Advisor routing table; see config/advisors.example.json
+const ROUTING_FILE = process.env.ROUTING_FILE || path.join(__dirname, "config", "advisors.json");
+// Several stores/brands on one deployment; see config/tenants.example.json (no file = this single business)
+const TENANTS_FILE = process.env.TENANTS_FILE || path.join(__dirname, "config", "tenants.json");
+// Lead fields + handoff types; see config/qualification.example.json (no file = built-in flow)
+const QUALIFICATION_FILE = process.env.QUALIFICATION_FILE || path.join(__dirname, "config", "qualification.json");
 
 const DEV_MODE = String(process.env.DEV_MODE || "true").toLowerCase() === "true";
 const FAST_ACK = String(process.env.FAST_ACK || "true").toLowerCase() === "true";
 const DEBUG_TOKEN = process.env.DEBUG_TOKEN || "";
+const TEST_PHONES = String(process.env.TEST_PHONES || "") // comma-separated, wiped by POST /admin/leads/wipe
+  .split(",")
+  .map((p) => p.trim())
+  .filter(Boolean);
+
+// Webhook security: signature check is always skipped in DEV_MODE (local curl tests)
+const TWILIO_VALIDATE_SIGNATURE =
+  String(process.env.TWILIO_VALIDATE_SIGNATURE || "true").toLowerCase() === "true" && !DEV_MODE;
+const PUBLIC_BASE_URL = process.env.PUBLIC_BASE_URL || ""; // https://my-app.onrender.com
+const DEDUPE_TTL_MS = Number(process.env.DEDUPE_TTL_MS || 6 * 60 * 60 * 1000); // 6h
+// Seen MessageSids survive a restart here too (dropped inbound is never recorded on the lead)
+const DEDUPE_FILE = process.env.DEDUPE_FILE || path.join(__dirname, "data", "seen-sids.json");
 
 // Models: set via env (demo-friendly)
 // Example:
@@ -40,12 +141,133 @@ const DEBUG_TOKEN = process.env.DEBUG_TOKEN || "";
 const MODEL_FAST = process.env.MODEL_FAST || "gpt-5-mini";
 const MODEL_SMART = process.env.MODEL_SMART || "gpt-5";
 
+// Single-business defaults (each tenant can override them)
+const BRAND = "Cortinas Argentinas";
+const BOT_NAME = "Caia";
+const BUSINESS_FACTS = [
+  "Cortinas Argentinas (Rosario, Santa Fe).",
+  "Showroom: Bv. Avellaneda Bis 235.",
+  "Hacemos Roller, textiles, bandas verticales, toldos y cerramientos. Todo a medida.",
+  "Medición/relevamiento a domicilio sin cargo. Envíos a todo el país.",
+];
+// Canned customer texts that don't depend on the product (a tenant's "texts" overrides them one by one).
+// The timeout fallback's questions come from the qualification flow's "ask" texts
+const BOT_TEXTS = {
+  optOut:
+    "Listo, no te vamos a escribir más por este medio. Si en algún momento querés volver a recibir mensajes, respondé ALTA.",
+  optIn: "¡Listo! Ya podemos volver a escribirte 🙂 ¿En qué te puedo ayudar?",
+  fallback: "Disculpá, tuve un problema técnico. ¿Me contás un poco más así te ayudo?", // nothing left to ask
+  fallbackAsk: "Disculpá, tuve un problema técnico. ¿Me contás {ask}?",
+};
+
 // Timeouts (ms) — demo stable
 const AI_TIMEOUT_MAIN = Number(process.env.AI_TIMEOUT_MAIN || 20000); // 20s
 const AI_TIMEOUT_RETRY = Number(process.env.AI_TIMEOUT_RETRY || 12000); // 12s
 const AI_BACKOFF_MS = Number(process.env.AI_BACKOFF_MS || 350); // retry backoff
 const AI_HISTORY_LIMIT = Number(process.env.AI_HISTORY_LIMIT || 8); // last N messages
 
+// Rolling summary of what left the history window (folded every SUMMARY_BATCH messages) + advisor brief
+const SUMMARY_ENABLED = String(process.env.SUMMARY_ENABLED || "true").toLowerCase() === "true";
+const SUMMARY_BATCH = Number(process.env.SUMMARY_BATCH || 6);
+const SUMMARY_MAX_CHARS = Number(process.env.SUMMARY_MAX_CHARS || 1200);
+const ADVISOR_BRIEF_ENABLED = String(process.env.ADVISOR_BRIEF_ENABLED || "true").toLowerCase() === "true";
+const AI_TIMEOUT_SUMMARY = Number(process.env.AI_TIMEOUT_SUMMARY || 12000); // 12s
+
+// LLM providers in preference order: openai | local (any OpenAI-compatible /v1 endpoint: Ollama, vLLM...).
+// The deterministic "rules" backend always answers last; LLM_PROVIDERS=rules runs fully offline.
+const LLM_PROVIDERS = String(process.env.LLM_PROVIDERS || "openai")
+  .split(",")
+  .map((s) => s.trim())
+  .filter(Boolean);
+const LOCAL_LLM_URL = process.env.LOCAL_LLM_URL || "http://localhost:11434/v1";
+const LOCAL_LLM_MODEL = process.env.LOCAL_LLM_MODEL || ""; // empty = same model names as OpenAI
+const LOCAL_LLM_API_KEY = process.env.LOCAL_LLM_API_KEY || "local";
+// Circuit breaker: N failures in a row -> provider skipped, one probe call after the cooldown
+const LLM_BREAKER_FAILURES = Number(process.env.LLM_BREAKER_FAILURES || 3);
+const LLM_BREAKER_COOLDOWN_MS = Number(process.env.LLM_BREAKER_COOLDOWN_MS || 30000);
+
+// Media: voice notes are transcribed before reaching the AI
+const MEDIA_TRANSCRIBE = String(process.env.MEDIA_TRANSCRIBE || "true").toLowerCase() === "true";
+const TRANSCRIBE_MODEL = process.env.TRANSCRIBE_MODEL || "gpt-4o-mini-transcribe";
+const AI_TIMEOUT_TRANSCRIBE = Number(process.env.AI_TIMEOUT_TRANSCRIBE || 20000); // 20s
+
+// Corrections to already-captured fields: applied if explicit or confident enough
+const CORRECTION_MIN_CONFIDENCE = Number(process.env.CORRECTION_MIN_CONFIDENCE || 0.8);
+
+// Local time for schedules/quiet hours (Argentina, no DST)
+const TZ_OFFSET_MIN = Number(process.env.TZ_OFFSET_MIN || -180);
+
+// Visit scheduling: concrete slots inside business hours, booked on a local JSON calendar
+const BUSINESS_HOURS = { start: 8, end: 17 };
+const VISIT_DAYS = String(process.env.VISIT_DAYS || "1,2,3,4,5").split(",").map(Number); // 0=dom
+const VISIT_SLOT_MIN = Number(process.env.VISIT_SLOT_MIN || 60);
+const VISIT_MIN_LEAD_HOURS = Number(process.env.VISIT_MIN_LEAD_HOURS || 18);
+const VISIT_OFFER_TTL_HOURS = Number(process.env.VISIT_OFFER_TTL_HOURS || 12); // older offers are re-sent, not booked
+const CALENDAR_FILE = process.env.CALENDAR_FILE || path.join(__dirname, "data", "calendar.json");
+
+// Follow-ups for stalled leads (delays are per attempt, from the bot's last message)
+const FOLLOWUP_ENABLED = String(process.env.FOLLOWUP_ENABLED || "true").toLowerCase() === "true";
+const FOLLOWUP_DELAYS_MIN = String(process.env.FOLLOWUP_DELAYS_MIN || "120,1440").split(",").map(Number);
+const FOLLOWUP_MAX_ATTEMPTS = Number(process.env.FOLLOWUP_MAX_ATTEMPTS || 2);
+const FOLLOWUP_INTERVAL_MS = Number(process.env.FOLLOWUP_INTERVAL_MS || 5 * 60 * 1000); // 5 min sweep
+const FOLLOWUP_QUIET = {
+  start: Number(process.env.FOLLOWUP_QUIET_START || 21),
+  end: Number(process.env.FOLLOWUP_QUIET_END || 9),
+};
+const FOLLOWUP_TEMPLATE_SID = process.env.FOLLOWUP_TEMPLATE_SID || ""; // approved template (HX...), outside 24h
+
+// Consent registry (opt-out/opt-in), separate from leads so a reset never forgets a BAJA
+const CONSENT_FILE = process.env.CONSENT_FILE || path.join(__dirname, "data", "consent.json");
+
+// Catalog/FAQ knowledge base (local JSON, hot-reloaded); only the top matches go into the prompt
+const KNOWLEDGE_DIR = process.env.KNOWLEDGE_DIR || path.join(__dirname, "knowledge");
+const KNOWLEDGE_LIMIT = Number(process.env.KNOWLEDGE_LIMIT || 4);
+
+// Rough price ranges (off by default); only products with "estimate": true in the table
+const PRICE_ESTIMATES_ENABLED = String(process.env.PRICE_ESTIMATES_ENABLED || "false") === "true";
+const PRICES_FILE = process.env.PRICES_FILE || path.join(__dirname, "config", "prices.json");
+
+// Lead events -> outbound webhooks: "https://crm/hook|secret,https://other" (no URLs = no events)
+const EVENT_WEBHOOKS = parseWebhookList(process.env.EVENT_WEBHOOK_URLS, process.env.EVENT_WEBHOOK_SECRET || "");
+const EVENT_OUTBOX_FILE = process.env.EVENT_OUTBOX_FILE || path.join(__dirname, "data", "outbox.json");
+const EVENT_RETRY_MAX = Number(process.env.EVENT_RETRY_MAX || 8);
+const EVENT_RETRY_BASE_MS = Number(process.env.EVENT_RETRY_BASE_MS || 30000); // 30s, 1m, 2m, 4m...
+const EVENT_FLUSH_INTERVAL_MS = Number(process.env.EVENT_FLUSH_INTERVAL_MS || 30000);
+
+// Business calendar (weekly hours, holidays, closures); off = always open, as before
+const AFTER_HOURS_ENABLED = String(process.env.AFTER_HOURS_ENABLED || "true") === "true";
+const BUSINESS_CALENDAR_FILE =
+  process.env.BUSINESS_CALENDAR_FILE || path.join(__dirname, "config", "business-calendar.json");
+const HELD_NOTIFICATIONS_FILE =
+  process.env.HELD_NOTIFICATIONS_FILE || path.join(__dirname, "data", "held-notifications.json");
+const DIGEST_INTERVAL_MS = Number(process.env.DIGEST_INTERVAL_MS || 60 * 1000);
+
+// Per-day metric totals (the Prometheus counters themselves live in memory)
+const METRICS_FILE = process.env.METRICS_FILE || path.join(__dirname, "data", "metrics-daily.json");
+const METRICS_SAVE_INTERVAL_MS = Number(process.env.METRICS_SAVE_INTERVAL_MS || 60 * 1000);
+
+// Debounce: customers type in bursts ("hola" / "quería consultar" / "por roller"), so the turn waits for a
+// pause and answers them together; each message restarts the window, up to the max from the first one
+const INBOUND_DEBOUNCE_MS = Number(process.env.INBOUND_DEBOUNCE_MS || 2500); // 0 = answer each message
+const INBOUND_DEBOUNCE_MAX_MS = Number(process.env.INBOUND_DEBOUNCE_MAX_MS || 10000);
+
+// Abuse protection: inbound limits per number, AI turns across all leads, AI budget per lead and day
+const RATE_LIMIT_PER_MIN = Number(process.env.RATE_LIMIT_PER_MIN || 12);
+const RATE_LIMIT_PER_HOUR = Number(process.env.RATE_LIMIT_PER_HOUR || 60);
+const AI_GLOBAL_PER_MIN = Number(process.env.AI_GLOBAL_PER_MIN || 120);
+const AI_LEAD_DAILY_TOKENS = Number(process.env.AI_LEAD_DAILY_TOKENS || 60000); // 0 = no cap
+const AI_LEAD_DAILY_USD = Number(process.env.AI_LEAD_DAILY_USD || 0); // 0 = no cap
+const AI_PRICES = parseModelPrices(process.env.AI_PRICE_PER_1M || "gpt-5-mini:0.25/2,gpt-5:1.25/10"); // USD per 1M in/out
+// Dropped (rate-limited) messages in an hour before the number is muted, and for how long
+const ABUSE_DROPPED_PER_HOUR = Number(process.env.ABUSE_DROPPED_PER_HOUR || 30);
+const ABUSE_MUTE_HOURS = Number(process.env.ABUSE_MUTE_HOURS || 24);
+const ADMIN_ALERT_TO = process.env.ADMIN_ALERT_TO || ""; // whatsapp:+549...; empty = default advisor
+
+// Lead persistence: "json" (default) or "memory"
+const LEAD_STORE = process.env.LEAD_STORE || "json";
+const LEAD_STORE_DIR = process.env.LEAD_STORE_DIR || path.join(__dirname, "data", "leads");
+const LEAD_STORE_FLUSH_MS = Number(process.env.LEAD_STORE_FLUSH_MS || 200); // writes per lead coalesced this long
+
 // ======= Health endpoints =======
 app.get("/", (req, res) => res.status(200).send("OK"));
 app.get("/health", (req, res) =>
@@ -57,22 +279,194 @@ app.get("/health", (req, res) =>
     model_smart: MODEL_SMART,
     ai_timeout_main: AI_TIMEOUT_MAIN,
     ai_timeout_retry: AI_TIMEOUT_RETRY,
+    inbound_debounce_ms: INBOUND_DEBOUNCE_MS,
     has_openai_key: Boolean(process.env.OPENAI_API_KEY),
     has_twilio_sid: Boolean(process.env.TWILIO_ACCOUNT_SID),
     has_handoff_to: Boolean(HANDOFF_TO),
+    tenants: tenants.list().map((t) => t.id),
+    advisors: tenants.list().reduce((n, t) => n + routerFor(t).advisors().length, 0),
+    events: { webhooks: EVENT_WEBHOOKS.length, ...events.stats() },
+    open_now: isOpenNow(),
+    held_notifications: heldNotifications.size(),
+    muted: Object.values(leads).filter(isMuted).length,
     debug_token_set: Boolean(DEBUG_TOKEN),
+    validate_signature: TWILIO_VALIDATE_SIGNATURE,
+    webhook: webhookStats,
+    ai_contract: aiContractStats,
+    llm: llm.status(),
+    opted_out: Object.values(consent.all()).filter((c) => c.status === "opted_out").length,
+    lead_store: leadStore.backend,
+    leads_loaded: Object.keys(leads).length,
   })
 );
 
 // ======= Folders (ephemeral on Render) =======
-const CONV_DIR = path.join(__dirname, "conversations");
-const LEADS_DIR = path.join(__dirname, "leads");
+const CONV_DIR = process.env.CONV_DIR || path.join(__dirname, "conversations");
+const LEADS_DIR = process.env.LEADS_DIR || path.join(__dirname, "leads");
 for (const dir of [CONV_DIR, LEADS_DIR]) {
   if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
 }
 
-// ======= State (in-memory) =======
+// ======= State (in-memory, written behind to leadStore) =======
 const leads = Object.create(null);
+const leadStore = createLeadStore({ backend: LEAD_STORE, dir: LEAD_STORE_DIR, flushMs: LEAD_STORE_FLUSH_MS });
+
+// ======= Webhook guards =======
+const isValidTwilioSignature = createSignatureValidator({
+  authToken: process.env.TWILIO_AUTH_TOKEN,
+  enabled: TWILIO_VALIDATE_SIGNATURE,
+  publicBaseUrl: PUBLIC_BASE_URL,
+});
+const businessCalendar = createBusinessCalendar({
+  file: BUSINESS_CALENDAR_FILE,
+  tzOffsetMin: TZ_OFFSET_MIN,
+  hours: BUSINESS_HOURS,
+});
+const consent = createConsentRegistry({ file: CONSENT_FILE });
+const tenants = createTenantRegistry({
+  file: TENANTS_FILE,
+  defaults: {
+    id: "default",
+    from: TWILIO_WHATSAPP_FROM,
+    brand: BRAND,
+    botName: BOT_NAME,
+    facts: BUSINESS_FACTS,
+    handoffTo: HANDOFF_TO,
+    routingFile: ROUTING_FILE,
+    models: { fast: MODEL_FAST, smart: MODEL_SMART },
+    qualificationFile: QUALIFICATION_FILE,
+    knowledgeDir: KNOWLEDGE_DIR,
+    pricesFile: PRICES_FILE,
+    calendarFile: CALENDAR_FILE,
+    followupTemplateSid: FOLLOWUP_TEMPLATE_SID,
+    texts: BOT_TEXTS,
+  },
+});
+const qualification = createQualification({ file: QUALIFICATION_FILE });
+const routers = new Map(); // "tenant|routingFile|handoffTo" -> router (round-robin cursors live in it)
+
+function routerFor(tenant) {
+  const key = `${tenant.id}|${tenant.routingFile}|${tenant.handoffTo}`;
+  if (!routers.has(key)) {
+    const file = path.resolve(__dirname, tenant.routingFile || "");
+    routers.set(key, createRouter({ file: tenant.routingFile ? file : "", fallbackPhone: tenant.handoffTo }));
+  }
+  return routers.get(key);
+}
+
+// Catalog, price table and visit calendar: one instance per path, so tenants that share a file
+// share its cache (and, for a calendar, its bookings)
+const sharedByPath = { knowledge: new Map(), pricing: new Map(), scheduler: new Map() };
+
+function byPath(cache, file, create) {
+  const key = path.resolve(__dirname, file);
+  if (!cache.has(key)) cache.set(key, create(key));
+  return cache.get(key);
+}
+
+const knowledgeFor = (tenant) =>
+  byPath(sharedByPath.knowledge, tenant.knowledgeDir || KNOWLEDGE_DIR, (dir) => createKnowledgeBase({ dir }));
+const pricingFor = (tenant) =>
+  byPath(sharedByPath.pricing, tenant.pricesFile || PRICES_FILE, (file) => createPriceEstimator({ file }));
+const schedulerFor = (tenant) =>
+  byPath(sharedByPath.scheduler, tenant.calendarFile || CALENDAR_FILE, (file) =>
+    createScheduler({
+      file,
+      hours: BUSINESS_HOURS,
+      days: VISIT_DAYS,
+      slotMinutes: VISIT_SLOT_MIN,
+      minLeadHours: VISIT_MIN_LEAD_HOURS,
+      tzOffsetMin: TZ_OFFSET_MIN,
+      isClosedDate: businessCalendar.isClosedDate,
+    })
+  );
+
+// Leads written before tenants existed belong to the default one
+function tenantOf(lead) {
+  return tenants.byId(lead?.tenant) || tenants.defaultTenant();
+}
+
+// The lead's qualification flow (its tenant's file/overrides)
+function flowOf(lead) {
+  return qualification.forTenant(tenantOf(lead));
+}
+const heldNotifications = createNotificationQueue({ file: HELD_NOTIFICATIONS_FILE });
+const events = createEventBus({
+  outboxFile: EVENT_OUTBOX_FILE,
+  webhooks: EVENT_WEBHOOKS,
+  maxAttempts: EVENT_RETRY_MAX,
+  baseMs: EVENT_RETRY_BASE_MS,
+});
+const sidDedupe = createSidDedupe({ ttlMs: DEDUPE_TTL_MS, file: DEDUPE_FILE });
+const inboxFeed = createSseHub(); // operator inbox (/inbox) live updates
+const inboundLimiter = createRateLimiter({
+  limits: [
+    { windowMs: 60 * 1000, max: RATE_LIMIT_PER_MIN },
+    { windowMs: 60 * 60 * 1000, max: RATE_LIMIT_PER_HOUR },
+  ],
+});
+const droppedLimiter = createRateLimiter({ limits: [{ windowMs: 60 * 60 * 1000, max: ABUSE_DROPPED_PER_HOUR }] });
+const aiTurnLimiter = createRateLimiter({ limits: [{ windowMs: 60 * 1000, max: AI_GLOBAL_PER_MIN }] });
+const webhookStats = { accepted: 0, rejectedSignature: 0, duplicates: 0, rateLimited: 0, muted: 0 };
+const aiContractStats = { ok: 0, repaired: 0, failed: 0 };
+
+const metrics = createMetrics({ file: METRICS_FILE, tzOffsetMin: TZ_OFFSET_MIN });
+const FUNNEL_STAGES = ["first_message", "intent", "name", "zone", "availability", "handoff"];
+const metric = {
+  inbound: metrics.counter("inbound_messages_total", "Inbound messages accepted, by sender (lead|advisor) and tenant"),
+  webhookRejected: metrics.counter("webhook_rejected_total", "Webhook requests dropped, by reason"),
+  aiRequests: metrics.counter(
+    "ai_requests_total",
+    "AI decision calls by model and outcome (ok|timeout|circuit_open|error|invalid)"
+  ),
+  aiLatency: metrics.histogram("ai_latency_seconds", "AI decision call latency by model"),
+  aiRetries: metrics.counter("ai_retries_total", "Main AI call failed, retried with MODEL_SMART"),
+  aiFallbacks: metrics.counter("ai_fallbacks_total", "Both AI calls failed, canned fallback sent"),
+  aiContract: metrics.counter("ai_contract_errors_total", "AI outputs that broke the decision schema (repaired|fatal)"),
+  handoffs: metrics.counter("handoffs_total", "Handoffs to an advisor, by type and tenant"),
+  funnel: metrics.counter("funnel_stage_total", "Leads reaching a funnel stage for the first time, by tenant"),
+  rateLimited: metrics.counter("rate_limited_total", "Inbound messages dropped by a rate limit, or ignored while muted"),
+  aiSkipped: metrics.counter("ai_skipped_total", "AI turns replaced by the fallback, by reason (global_rate|budget)"),
+  aiTokens: metrics.counter("ai_tokens_total", "Tokens used by AI calls, by model and kind (input|output)"),
+  aiSummaries: metrics.counter("ai_summaries_total", "Summary calls by kind (rolling|brief) and outcome (ok|error)"),
+  muted: metrics.counter("numbers_muted_total", "Numbers muted automatically for abuse"),
+  llmCalls: metrics.counter("llm_calls_total", "LLM provider calls by provider and outcome (ok|timeout|error|skipped)"),
+};
+metrics.gauge("leads", "Leads in memory, by status and tenant", () =>
+  tenants.list().flatMap((t) =>
+    ["open", "pending_handoff", "handed_off", "closed"].map((status) => ({
+      labels: { status, tenant: t.id },
+      value: Object.values(leads).filter((l) => tenantOf(l).id === t.id && leadStatus(l) === status).length,
+    }))
+  )
+);
+
+// ======= LLM providers =======
+function buildLlmProviders() {
+  const providers = [];
+  for (const name of LLM_PROVIDERS) {
+    if (name === "openai") providers.push(createOpenAIProvider({ client: () => openai }));
+    else if (name === "local") {
+      const client = () => localLlm || (localLlm = new OpenAI({ baseURL: LOCAL_LLM_URL, apiKey: LOCAL_LLM_API_KEY }));
+      providers.push(createCompatProvider({ client, model: LOCAL_LLM_MODEL }));
+    } else if (name !== "rules") console.warn("LLM_PROVIDERS: unknown provider ignored:", name);
+  }
+  providers.push(createRulesProvider({ decide: ruleDecision }));
+  return providers;
+}
+
+const llm = createLlm({
+  providers: buildLlmProviders(),
+  failureThreshold: LLM_BREAKER_FAILURES,
+  cooldownMs: LLM_BREAKER_COOLDOWN_MS,
+  onResult: ({ provider, outcome }) => metric.llmCalls.inc({ provider, outcome }),
+});
+metrics.gauge("llm_circuit_open", "1 while a provider's circuit is open or probing", () =>
+  llm
+    .status()
+    .filter((p) => p.state)
+    .map((p) => ({ labels: { provider: p.name }, value: p.state === "closed" ? 0 : 1 }))
+);
 
 // ======= Helpers =======
 function nowTs() {
@@ -108,47 +502,170 @@ function normalizePhone(from) {
   return m ? m[0].replace(/[^\d+]/g, "") : "unknown";
 }
 
-function getLead(phone) {
-  if (!leads[phone]) {
-    leads[phone] = {
-      phone,
-      name: "",
-      zone: "",
-      intentSummary: "",
-      availability: "", // <-- NUEVO
-      messages: [],
-      createdAt: nowTs(),
-      handedOff: false,
-      pendingHandoff: null,
-      _queue: Promise.resolve(),
-    };
+function newLead(phone, tenantId = tenants.defaultTenant().id) {
+  const flow = qualification.forTenant(tenants.byId(tenantId) || tenants.defaultTenant());
+  return {
+    phone,
+    tenant: tenantId,
+    ...Object.fromEntries(flow.fields.map((f) => [f, ""])), // extra fields from the qualification flow
+    name: "",
+    zone: "",
+    intentSummary: "",
+    availability: "", // <-- NUEVO
+    messages: [],
+    media: [], // photos/audios/docs received: { ts, sid, kind, url, contentType, transcript? }
+    location: null, // last shared pin: { ts, lat, lng, address, label }
+    visitOffer: null, // { purpose: "book"|"reschedule", slots: [{ start, end, label }], offeredAt }
+    appointment: null, // { id, start, end, label, advisorId, advisorName, status, bookedAt }
+    ref: "", // short code the advisor uses to address this lead ("#K7QD ...")
+    relay: null, // { active, since, advisorSids: [...] } — advisor <-> customer relay after handoff
+    advisor: null, // assigned on first handoff, then sticky: { id, name, phone, group, strategy, assignedAt }
+    closed: false,
+    closedAt: null,
+    botPaused: false, // admin pause: inbound is recorded, the bot doesn't answer
+    notes: [], // internal notes (never shown to the AI): { ts, author, text }
+    summary: null, // rolling summary of messages[0..upTo): { text, upTo, updatedAt }
+    brief: null, // advisor brief made at handoff: { wants, constraints, objections, rooms, next_step, ts }
+    aiProvider: null, // LLM provider that answered the last decision: { name, model, at }
+    followup: null, // { attempts, lastSentAt, lastMode: "session"|"template", outcome }
+    fieldHistory: {}, // per-field changes: { zone: [{ ts, previous, value, source, explicit?, confidence? }] }
+    quoteItems: [], // { room, product, fabric, width_m, height_m, quantity, mount, motorized } (see lib/quote)
+    estimates: [], // every range the bot gave: { ts, items, lines, low, high, currency, version }
+    aiContractErrors: [], // last AI outputs that broke the decision schema: { ts, model, errors, fatal, raw }
+    aiUsage: null, // today's AI spend: { day, calls, tokens, usd, budgetHitAt }
+    muted: null, // abuse mute: { at, until, reason } — inbound is only counted (_dropped), nothing else runs
+    rateLimitNoticeAt: null, // last "too many messages" notice (at most one per hour)
+    createdAt: nowTs(),
+    handedOff: false,
+    handedOffAt: null,
+    handoffType: "", // "price" | "visit" (tag of the handoff that happened)
+    pendingHandoff: null,
+    _queue: Promise.resolve(),
+    _inbox: [], // inbound waiting for the queue; drained together as one turn
+    _debounce: null, // { since, timer } while a burst is still being typed
+    _dropped: 0, // inbound ignored while muted/over the limit, noted on the next recorded message
+  };
+}
+
+// In-memory/store key: the bare phone for the default tenant (data from before tenants keeps working),
+// "tenant:phone" for the rest, so the same customer can talk to two brands without mixing threads
+function leadKey(tenantId, phone) {
+  const tenant = tenants.byId(tenantId);
+  return !tenant || tenants.isDefault(tenant) ? phone : `${tenant.id}:${phone}`;
+}
+
+const keyOf = (lead) => leadKey(lead.tenant, lead.phone);
+
+// Every lead mutation goes through here, so it's also where the operator inbox hears about it
+// Wiped (admin): a turn still in flight keeps its reference to the lead but must not write it back
+const isWiped = (lead) => leads[keyOf(lead)] !== lead;
+
+function persistLead(lead) {
+  if (isWiped(lead)) return;
+  leadStore.save(keyOf(lead), lead);
+  if (inboxFeed.size()) inboxFeed.publish("lead", leadSummary(lead));
+}
+
+function getLead(phone, tenant = tenants.defaultTenant()) {
+  const key = leadKey(tenant.id, phone);
+  if (!leads[key]) {
+    leads[key] = newLead(phone, tenant.id);
+    persistLead(leads[key]);
+    emitLeadEvent("lead.created", leads[key]);
+    metric.funnel.inc({ stage: "first_message", tenant: tenant.id });
+  }
+  return leads[key];
+}
+
+// Rehydrate on boot: defaults first, so fields added later still exist on old leads
+function loadLeadsFromStore() {
+  for (const stored of leadStore.loadAll()) {
+    if (!stored || !stored.phone) continue;
+    const lead = { ...newLead(stored.phone), ...stored, _queue: Promise.resolve(), _inbox: [], _dropped: 0 };
+    leads[keyOf(lead)] = lead;
+  }
+  return Object.keys(leads).length;
+}
+
+// Re-seed MessageSid dedupe from persisted inbound messages (oldest first)
+function seedSidDedupe() {
+  const cutoff = Date.now() - DEDUPE_TTL_MS;
+  const seeds = [];
+  for (const lead of Object.values(leads)) {
+    for (const m of lead.messages || []) {
+      const at = Date.parse(m.ts);
+      if (m.sid && at >= cutoff) seeds.push({ sid: m.sid, at });
+    }
   }
-  return leads[phone];
+  seeds.sort((a, b) => a.at - b.at);
+  for (const { sid, at } of seeds) sidDedupe.checkAndRemember(sid, at);
 }
 
-function appendMessage(lead, fromLabel, text) {
-  lead.messages.push({ ts: nowTs(), from: fromLabel, text: String(text || "") });
+// meta: optional extra fields stored on the message (sid, media, etc.)
+function appendMessage(lead, fromLabel, text, meta) {
+  const message = { ts: nowTs(), from: fromLabel, text: String(text || ""), ...(meta || {}) };
+  lead.messages.push(message);
+  if (inboxFeed.size()) inboxFeed.publish("message", { key: keyOf(lead), phone: lead.phone, message });
+  persistLead(lead);
 }
 
 function buildTranscript(lead) {
   const header =
     `LEAD\n` +
     `- phone: ${lead.phone}\n` +
+    `- tenant: ${tenantOf(lead).id} (${tenantOf(lead).brand})\n` +
     `- name: ${lead.name || "sin_nombre"}\n` +
     `- zone: ${lead.zone || "sin_zona"}\n` +
     `- intentSummary: ${lead.intentSummary || "sin_contexto"}\n` +
     `- availability: ${lead.availability || "sin_disponibilidad"}\n` +
+    flowOf(lead)
+      .fields.filter((f) => !["name", "zone", "intentSummary", "availability"].includes(f))
+      .map((f) => `- ${f}: ${lead[f] || flowOf(lead).field(f).empty || "—"}\n`)
+      .join("") +
     `- createdAt: ${lead.createdAt}\n` +
     `- handedOff: ${lead.handedOff}\n` +
-    `- pendingHandoff: ${lead.pendingHandoff ? JSON.stringify(lead.pendingHandoff) : "null"}\n\n`;
-
-  const body = (lead.messages || []).map((m) => `[${m.ts}] ${m.from}: ${m.text}`).join("\n");
+    `- pendingHandoff: ${lead.pendingHandoff ? JSON.stringify(lead.pendingHandoff) : "null"}\n` +
+    `- appointment: ${lead.appointment ? `${lead.appointment.label} (${lead.appointment.status})` : "sin_turno"}\n` +
+    `- media: ${(lead.media || []).length ? summarizeMediaCounts(lead.media) : "sin_adjuntos"}\n` +
+    `- location: ${lead.location ? mapsLink(lead.location) : "sin_ubicacion"}\n` +
+    `- botPaused: ${Boolean(lead.botPaused)} / closed: ${Boolean(lead.closed)}\n` +
+    `- advisor: ${lead.advisor ? `${lead.advisor.name} (${lead.advisor.id})` : "sin_asignar"}\n` +
+    `- aiProvider: ${lead.aiProvider ? `${lead.aiProvider.name} ${lead.aiProvider.model}`.trim() : "ninguno"}\n` +
+    ((lead.quoteItems || []).length ? `- quoteItems:\n${formatQuoteTable(lead.quoteItems)}\n` : "") +
+    (lead.estimates || []).map((e) => `- estimate [${e.ts}] ${estimateLabel(e)}\n`).join("") +
+    (lead.notes || []).map((n) => `- note [${n.ts}] ${n.author}: ${n.text}\n`).join("") +
+    (lead.summary?.text ? `- summary (hasta msg ${lead.summary.upTo}):\n${lead.summary.text}\n` : "") +
+    (lead.brief ? `${formatBrief(lead.brief).join("\n")}\n` : "") +
+    "\n";
+
+  const body = (lead.messages || [])
+    .map((m) => {
+      const extras = [];
+      if (m.media?.length) extras.push(`adjuntos: ${summarizeMediaCounts(m.media)}`);
+      if (m.location) extras.push(`ubicación: ${mapsLink(m.location)}`);
+      return `[${m.ts}] ${m.from}: ${m.text}${extras.length ? ` [${extras.join(" | ")}]` : ""}`;
+    })
+    .join("\n");
   return header + body + "\n";
 }
 
-function upsertConversationFile(lead) {
+// CONV_DIR/LEADS_DIR themselves for the default tenant, a subfolder per other tenant
+function tenantDir(base, lead) {
+  const tenant = tenantOf(lead);
+  if (tenants.isDefault(tenant)) return base;
+  const dir = path.join(base, sanitizeForFilename(tenant.id));
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  return dir;
+}
+
+function conversationFilePath(lead) {
   const phoneSafe = sanitizeForFilename(String(lead.phone || "").replace("+", ""));
-  const fpath = path.join(CONV_DIR, `${phoneSafe}.txt`);
+  return path.join(tenantDir(CONV_DIR, lead), `${phoneSafe}.txt`);
+}
+
+function upsertConversationFile(lead) {
+  const fpath = conversationFilePath(lead);
+  if (isWiped(lead)) return fpath;
   fs.writeFileSync(fpath, buildTranscript(lead), "utf8");
   return fpath;
 }
@@ -161,7 +678,7 @@ function saveLeadSnapshot(lead, tag = "handoff") {
   const intentSafe = sanitizeForFilename(lead.intentSummary || "sin_contexto");
   const availSafe = sanitizeForFilename(lead.availability || "sin_disponibilidad");
   const fname = `${ts}_${tag}_${phoneSafe}_${nameSafe}_${zoneSafe}_${intentSafe}_${availSafe}.txt`;
-  const fpath = path.join(LEADS_DIR, fname);
+  const fpath = path.join(tenantDir(LEADS_DIR, lead), fname);
   fs.writeFileSync(fpath, buildTranscript(lead), "utf8");
   return fpath;
 }
@@ -177,18 +694,42 @@ function withTimeout(promise, ms) {
   ]);
 }
 
-async function sendWhatsApp(toWhatsApp, body) {
+// contentSid/contentVariables: approved template (required outside the 24h session window)
+// allowOptedOut: only for the single BAJA confirmation
+// tenant: whose number it goes out from (default tenant if omitted)
+async function sendWhatsApp(
+  toWhatsApp,
+  body,
+  { mediaUrl, contentSid, contentVariables, allowOptedOut, tenant = tenants.defaultTenant() } = {}
+) {
   if (!toWhatsApp) return;
 
+  const toPhone = normalizePhone(toWhatsApp);
+  if (!allowOptedOut && consent.isOptedOut(toPhone)) {
+    console.warn("CONSENT: blocked outbound to opted-out number", toWhatsApp, "Body:", body);
+    const lead = leads[leadKey(tenant.id, toPhone)];
+    if (lead) appendMessage(lead, "system", `CONSENT_BLOCKED: no se envió (opt-out): ${String(body || "").slice(0, 120)}`);
+    return null;
+  }
+
   if (DEV_MODE) {
-    console.log("DEV_MODE: outbound suppressed. Would send to:", toWhatsApp, "Body:", body);
+    console.log(
+      "DEV_MODE: outbound suppressed. Would send to:",
+      toWhatsApp,
+      "Body:",
+      contentSid ? `[template ${contentSid}] ${JSON.stringify(contentVariables || {})}` : body,
+      mediaUrl || ""
+    );
     return;
   }
 
   return client.messages.create({
-    from: TWILIO_WHATSAPP_FROM,
+    from: tenant.from,
     to: toWhatsApp,
-    body,
+    ...(contentSid
+      ? { contentSid, contentVariables: JSON.stringify(contentVariables || {}) }
+      : { body }),
+    ...(mediaUrl?.length ? { mediaUrl } : {}),
   });
 }
 
@@ -215,24 +756,42 @@ function requireDebugToken(req, res) {
   return true;
 }
 
-app.get("/debug/leads", (req, res) => {
-  if (!requireDebugToken(req, res)) return;
+// Every flow field's value ("" when empty); the built-in four are always there
+function leadFieldValues(l) {
+  const fields = new Set(["name", "zone", "intentSummary", "availability", ...flowOf(l).fields]);
+  return Object.fromEntries([...fields].map((f) => [f, l[f] || ""]));
+}
 
-  const items = Object.values(leads).map((l) => ({
+function leadSummary(l) {
+  return {
+    key: keyOf(l), // what /admin/leads/:phone and /debug/conversation?phone= accept for any tenant
     phone: l.phone,
-    name: l.name || "",
-    zone: l.zone || "",
-    intentSummary: l.intentSummary || "",
-    availability: l.availability || "",
+    tenant: tenantOf(l).id,
+    ...leadFieldValues(l),
     createdAt: l.createdAt,
     handedOff: Boolean(l.handedOff),
     pendingHandoff: l.pendingHandoff || null,
+    ref: l.ref || "",
+    advisor: l.advisor?.id || "",
+    relayActive: Boolean(l.relay?.active),
+    closed: Boolean(l.closed),
+    botPaused: Boolean(l.botPaused),
+    muted: isMuted(l) ? l.muted : null,
+    notesCount: (l.notes || []).length,
+    consent: consent.get(l.phone)?.status || "opted_in",
+    aiContractErrorsCount: (l.aiContractErrors || []).length,
+    aiProvider: l.aiProvider?.name || "",
     messagesCount: (l.messages || []).length,
     lastAt: (l.messages || []).length ? l.messages[l.messages.length - 1].ts : null,
     lastFrom: (l.messages || []).length ? l.messages[l.messages.length - 1].from : null,
     lastText: (l.messages || []).length ? l.messages[l.messages.length - 1].text : null,
-  }));
+  };
+}
+
+app.get("/debug/leads", (req, res) => {
+  if (!requireDebugToken(req, res)) return;
 
+  const items = Object.values(leads).map(leadSummary);
   items.sort((a, b) => String(b.lastAt || "").localeCompare(String(a.lastAt || "")));
   res.json({ ok: true, count: items.length, leads: items });
 });
@@ -243,25 +802,59 @@ app.get("/debug/conversation", (req, res) => {
   const phone = String(req.query.phone || "").trim();
   if (!phone) return res.status(400).json({ ok: false, error: "missing ?phone=..." });
 
-  const lead = leads[phone];
+  const lead = findLead(phone);
   if (!lead) return res.status(404).json({ ok: false, error: "lead_not_found" });
 
   res.json({
     ok: true,
     lead: {
       phone: lead.phone,
-      name: lead.name || "",
-      zone: lead.zone || "",
-      intentSummary: lead.intentSummary || "",
-      availability: lead.availability || "",
+      tenant: tenantOf(lead).id,
+      ...leadFieldValues(lead),
       createdAt: lead.createdAt,
       handedOff: Boolean(lead.handedOff),
       pendingHandoff: lead.pendingHandoff || null,
+      ref: lead.ref || "",
+      relay: lead.relay || null,
+      closed: Boolean(lead.closed),
+      botPaused: Boolean(lead.botPaused),
+      notes: lead.notes || [],
+      consent: consent.get(lead.phone),
+      aiContractErrors: lead.aiContractErrors || [],
+      fieldHistory: lead.fieldHistory || {},
+      summary: lead.summary || null,
+      brief: lead.brief || null,
     },
     messages: lead.messages || [],
   });
 });
 
+app.get("/debug/consent", (req, res) => {
+  if (!requireDebugToken(req, res)) return;
+  const all = consent.all();
+  res.json({ ok: true, count: Object.keys(all).length, contacts: all });
+});
+
+// Which entries a message would pull into the prompt: /debug/knowledge?q=blackout o sunscreen[&tenant=id]
+app.get("/debug/knowledge", (req, res) => {
+  if (!requireDebugToken(req, res)) return;
+  const q = String(req.query.q || "");
+  const knowledge = knowledgeFor(tenants.byId(String(req.query.tenant || "")) || tenants.defaultTenant());
+  res.json({ ok: true, size: knowledge.size(), q, entries: knowledge.retrieve(q, { limit: KNOWLEDGE_LIMIT }) });
+});
+
+// ?tenant=id for another tenant's calendar
+app.get("/debug/calendar", (req, res) => {
+  if (!requireDebugToken(req, res)) return;
+  const scheduler = schedulerFor(tenants.byId(String(req.query.tenant || "")) || tenants.defaultTenant());
+  const cal = scheduler.load();
+  res.json({
+    ok: true,
+    advisors: cal.advisors,
+    events: cal.events.map((e) => ({ ...e, label: scheduler.formatSlot(e) })),
+  });
+});
+
 app.get("/debug/last.txt", (req, res) => {
   if (!requireDebugToken(req, res)) return;
 
@@ -279,55 +872,433 @@ app.get("/debug/last.txt", (req, res) => {
   return res.status(200).send(buildTranscript(latest.lead));
 });
 
+// ======= Admin API =======
+// Same token as /debug, but mutating endpoints refuse to run unauthenticated outside DEV_MODE
+function requireAdminToken(req, res) {
+  if (!DEBUG_TOKEN && !DEV_MODE) {
+    res.status(403).json({ ok: false, error: "admin_disabled_without_DEBUG_TOKEN" });
+    return false;
+  }
+  return requireDebugToken(req, res);
+}
+
+// Accepts "+549...", "549..." or "whatsapp:+549...", optionally as "tenant:+549..." (another tenant's lead)
+function findLead(phoneParam) {
+  const raw = decodeURIComponent(String(phoneParam || ""));
+  const prefix = raw.includes(":") ? raw.slice(0, raw.indexOf(":")) : "";
+  const tenant = tenants.byId(prefix) || tenants.defaultTenant();
+  const p = normalizePhone(raw);
+  const candidates = [p, `+${p.replace("+", "")}`, p.replace("+", "")];
+  return candidates.map((c) => leads[leadKey(tenant.id, c)]).find(Boolean) || null;
+}
+
+function adminLead(req, res) {
+  if (!requireAdminToken(req, res)) return null;
+  const lead = findLead(req.params.phone);
+  if (!lead) res.status(404).json({ ok: false, error: "lead_not_found" });
+  return lead;
+}
+
+function adminAudit(lead, req, action, detail = "") {
+  const who = String(req.body?.author || req.headers["x-admin-user"] || "admin");
+  appendMessage(lead, "system", `ADMIN ${action} by ${who}${detail ? `: ${detail}` : ""}`);
+  upsertConversationFile(lead);
+}
+
+// Everything we hold on the lead goes: a burst still being typed, the store, the conversation file and
+// the handoff snapshots (name, phone and transcript are in them)
+function wipeLead(lead) {
+  clearTimeout(lead._debounce?.timer);
+  lead._debounce = null;
+  lead._inbox.length = 0; // a turn already queued finds nothing to answer
+  delete leads[keyOf(lead)];
+  leadStore.remove(keyOf(lead));
+  const fpath = conversationFilePath(lead);
+  if (fs.existsSync(fpath)) fs.unlinkSync(fpath);
+
+  const phoneSafe = sanitizeForFilename(String(lead.phone || "").replace("+", ""));
+  const snapshot = new RegExp(`^\\d{8}_\\d{6}_.+?_${phoneSafe}_.*\\.txt$`);
+  const dir = tenantDir(LEADS_DIR, lead);
+  if (fs.existsSync(dir)) {
+    for (const f of fs.readdirSync(dir)) if (snapshot.test(f)) fs.unlinkSync(path.join(dir, f));
+  }
+}
+
+// Closed leads get no bot replies, slots or follow-ups; their messages are only recorded. Undo with /reopen
+app.post("/admin/leads/:phone/close", (req, res) => {
+  const lead = adminLead(req, res);
+  if (!lead) return;
+  lead.closed = true;
+  lead.closedAt = nowTs();
+  lead.relay = lead.relay ? { ...lead.relay, active: false } : null;
+  lead.visitOffer = null;
+  adminAudit(lead, req, "close");
+  res.json({ ok: true, lead: leadSummary(lead) });
+});
+
+// Undo a wrong handoff: the bot takes the conversation again
+app.post("/admin/leads/:phone/reopen", (req, res) => {
+  const lead = adminLead(req, res);
+  if (!lead) return;
+  lead.handedOff = false;
+  lead.pendingHandoff = null;
+  lead.closed = false;
+  lead.closedAt = null;
+  lead.relay = lead.relay ? { ...lead.relay, active: false } : null;
+  adminAudit(lead, req, "reopen");
+  res.json({ ok: true, lead: leadSummary(lead) });
+});
+
+app.patch("/admin/leads/:phone", (req, res) => {
+  const lead = adminLead(req, res);
+  if (!lead) return;
+
+  const body = req.body || {};
+  const flow = flowOf(lead);
+  const unknown = Object.keys(body).filter((k) => !flow.fields.includes(k) && k !== "author");
+  if (unknown.length) return res.status(400).json({ ok: false, error: "unknown_fields", fields: unknown });
+  const invalid = flow.fields.filter((f) => typeof body[f] === "string" && flow.clean(f, body[f]) === null);
+  if (invalid.length) return res.status(400).json({ ok: false, error: "invalid_fields", fields: invalid });
+
+  const changes = [];
+  for (const field of flow.fields) {
+    if (typeof body[field] !== "string") continue;
+    const value = flow.clean(field, body[field]);
+    // Admin can also clear a field: setLeadField ignores empty values, so handle it here
+    if (!value && lead[field]) {
+      const previous = lead[field];
+      changes.push({ field, previous, value: "" });
+      lead.fieldHistory[field] = [
+        ...(lead.fieldHistory[field] || []),
+        { ts: nowTs(), previous, value: "", source: "admin" },
+      ];
+      lead[field] = "";
+      emitLeadEvent("lead.field_captured", lead, { field, previous, value: "", source: "admin" });
+      continue;
+    }
+    const change = setLeadField(lead, field, value, { source: "admin" });
+    if (change) changes.push(change);
+  }
+  adminAudit(lead, req, "edit", changes.map((c) => `${c.field}="${c.value}"`).join(", ") || "sin cambios");
+  res.json({ ok: true, changes, lead: leadSummary(lead) });
+});
+
+app.post("/admin/leads/:phone/notes", (req, res) => {
+  const lead = adminLead(req, res);
+  if (!lead) return;
+  const text = String(req.body?.text || "").trim();
+  if (!text) return res.status(400).json({ ok: false, error: "missing_text" });
+
+  const note = { ts: nowTs(), author: String(req.body?.author || "admin"), text };
+  lead.notes = [...(lead.notes || []), note];
+  persistLead(lead);
+  upsertConversationFile(lead);
+  res.json({ ok: true, note });
+});
+
+// Manual message to the customer, queued behind whatever the bot is doing
+app.post("/admin/leads/:phone/messages", async (req, res) => {
+  const lead = adminLead(req, res);
+  if (!lead) return;
+  const text = String(req.body?.text || "").trim();
+  if (!text) return res.status(400).json({ ok: false, error: "missing_text" });
+  if (consent.isOptedOut(lead.phone)) return res.status(409).json({ ok: false, error: "contact_opted_out" });
+
+  // enqueueLead swallows task errors: catch the send inside the task to answer 502.
+  // Only a message that actually went out is recorded as the agent's
+  let error = null;
+  await enqueueLead(lead, async () => {
+    try {
+      await sendWhatsApp(leadAddress(lead), text, { tenant: tenantOf(lead) });
+    } catch (e) {
+      error = e;
+      appendMessage(lead, "system", `ADMIN_SEND_FAILED: ${e?.message || e}`);
+      upsertConversationFile(lead);
+      return;
+    }
+    appendMessage(lead, "agent", text, { author: String(req.body?.author || "admin") });
+    upsertConversationFile(lead);
+  });
+  if (error) return res.status(502).json({ ok: false, error: error?.message || String(error) });
+  res.json({ ok: true, lead: leadSummary(lead) });
+});
+
+app.post("/admin/leads/:phone/pause", (req, res) => {
+  const lead = adminLead(req, res);
+  if (!lead) return;
+  lead.botPaused = true;
+  adminAudit(lead, req, "pause");
+  res.json({ ok: true, lead: leadSummary(lead) });
+});
+
+app.post("/admin/leads/:phone/resume", (req, res) => {
+  const lead = adminLead(req, res);
+  if (!lead) return;
+  lead.botPaused = false;
+  adminAudit(lead, req, "resume");
+  res.json({ ok: true, lead: leadSummary(lead) });
+});
+
+// Manual mute (spam that stayed under the limits) and unmute (false positive); body.hours for mute
+app.post("/admin/leads/:phone/mute", (req, res) => {
+  const lead = adminLead(req, res);
+  if (!lead) return;
+  const hours = Number(req.body?.hours) || ABUSE_MUTE_HOURS;
+  lead.muted = { at: nowTs(), until: new Date(Date.now() + hours * 3600 * 1000).toISOString(), reason: "admin" };
+  adminAudit(lead, req, "mute", `hasta ${lead.muted.until}`);
+  res.json({ ok: true, lead: leadSummary(lead) });
+});
+
+app.post("/admin/leads/:phone/unmute", (req, res) => {
+  const lead = adminLead(req, res);
+  if (!lead) return;
+  lead.muted = null;
+  inboundLimiter.reset(lead.phone);
+  droppedLimiter.reset(lead.phone);
+  adminAudit(lead, req, "unmute");
+  res.json({ ok: true, lead: leadSummary(lead) });
+});
+
+// Wipe test leads: body.phones, or TEST_PHONES from env
+app.post("/admin/leads/wipe", (req, res) => {
+  if (!requireAdminToken(req, res)) return;
+  const phones = Array.isArray(req.body?.phones) && req.body.phones.length ? req.body.phones : TEST_PHONES;
+  if (!phones.length) return res.status(400).json({ ok: false, error: "no_phones (body.phones or TEST_PHONES)" });
+
+  const wiped = [];
+  for (const p of phones) {
+    const lead = findLead(p);
+    if (!lead) continue;
+    wipeLead(lead);
+    wiped.push(lead.phone);
+  }
+  res.json({ ok: true, wiped });
+});
+
+app.delete("/admin/leads/:phone", (req, res) => {
+  const lead = adminLead(req, res);
+  if (!lead) return;
+  wipeLead(lead);
+  res.json({ ok: true, wiped: [lead.phone] });
+});
+
+// ======= Operator inbox =======
+// Static page + SSE stream; the page reads /debug/leads and /debug/conversation and acts through
+// the admin API (pause = take over, resume = back to the bot, messages = operator reply)
+app.get("/inbox", (req, res) => {
+  if (!requireDebugToken(req, res)) return;
+  res.sendFile(path.join(__dirname, "public", "inbox.html"));
+});
+
+app.get("/inbox/events", (req, res) => {
+  if (!requireDebugToken(req, res)) return;
+  inboxFeed.subscribe(req, res);
+  inboxFeed.send(res, "hello", { at: nowTs(), leads: Object.keys(leads).length });
+});
+
+// ======= Lead events + CRM export =======
+function leadStatus(l) {
+  if (l.closed) return "closed";
+  if (l.handedOff) return "handed_off";
+  if (l.pendingHandoff) return "pending_handoff";
+  return "open";
+}
+
+// Flat record: the webhook payload and one CSV/JSON export row
+function leadRecord(l) {
+  const last = (l.messages || []).at(-1);
+  const estimate = (l.estimates || []).at(-1);
+  return {
+    phone: l.phone,
+    tenant: tenantOf(l).id,
+    ...leadFieldValues(l),
+    createdAt: l.createdAt,
+    lastMessageAt: last?.ts || null,
+    messagesCount: (l.messages || []).length,
+    status: leadStatus(l),
+    pendingHandoffType: l.pendingHandoff?.type || "",
+    pendingHandoffAt: l.pendingHandoff?.requestedAt || null,
+    handedOffAt: l.handedOffAt || null,
+    handoffType: l.handoffType || "",
+    advisorId: l.advisor?.id || "",
+    advisorName: l.advisor?.name || "",
+    ref: l.ref || "",
+    appointment: l.appointment?.start || null,
+    appointmentStatus: l.appointment?.status || "",
+    quoteItems: l.quoteItems || [],
+    lastEstimate: estimate ? { low: estimate.low, high: estimate.high, currency: estimate.currency } : null,
+    closedAt: l.closedAt || null,
+    consent: consent.get(l.phone)?.status || "opted_in",
+  };
+}
+
+function emitLeadEvent(type, lead, extra = {}) {
+  events.emit(type, { ...extra, lead: leadRecord(lead) });
+}
+
+// Only this sets pendingHandoff, so lead.pending_handoff fires once per request
+function setPendingHandoff(lead, type) {
+  if (lead.pendingHandoff?.type === type) return;
+  lead.pendingHandoff = { type, requestedAt: nowTs() };
+  persistLead(lead);
+  emitLeadEvent("lead.pending_handoff", lead, { type });
+}
+
+function exportRows(req) {
+  const since = req.query.since ? Date.parse(String(req.query.since)) : 0;
+  const tenant = exportTenant(req);
+  return Object.values(leads)
+    .filter((l) => !since || Date.parse(l.createdAt) >= since)
+    .filter((l) => !tenant || tenantOf(l).id === tenant)
+    .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)))
+    .map(leadRecord);
+}
+
+const exportTenant = (req) => (req.query.tenant ? String(req.query.tenant) : "");
+
+// CSV header: every field any exported tenant's flow captures, so a flow's extra fields get a column
+function exportColumns(req) {
+  const tenant = exportTenant(req);
+  const scope = tenants.list().filter((t) => !tenant || t.id === tenant);
+  return leadExportColumns(scope.flatMap((t) => qualification.forTenant(t).fields));
+}
+
+// ?since=2026-10-01 filters by createdAt, ?tenant=id by tenant
+app.get("/admin/leads.csv", (req, res) => {
+  if (!requireAdminToken(req, res)) return;
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.setHeader("Content-Disposition", `attachment; filename="leads-${filenameTs(new Date())}.csv"`);
+  // BOM so Excel opens accents right
+  res.status(200).send("\uFEFF" + toCsv(exportRows(req), exportColumns(req)));
+});
+
+app.get("/admin/leads.json", (req, res) => {
+  if (!requireAdminToken(req, res)) return;
+  const rows = exportRows(req);
+  res.json({ ok: true, count: rows.length, leads: rows });
+});
+
+// ======= Metrics =======
+// Prometheus scrape (token via ?token= or X-Debug-Token, like /debug)
+app.get("/metrics", (req, res) => {
+  if (!requireDebugToken(req, res)) return;
+  res.setHeader("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+  res.status(200).send(metrics.render());
+});
+
+// Stage timestamps, for the daily cohort funnel
+function funnelStagesReached(l) {
+  const at = (field) => (l.fieldHistory?.[field] || []).find((h) => h.value)?.ts || (l[field] ? l.createdAt : null);
+  return {
+    first_message: l.createdAt,
+    intent: at("intentSummary"),
+    name: at("name"),
+    zone: at("zone"),
+    availability: at("availability"),
+    handoff: l.handedOffAt || (l.handedOff ? l.createdAt : null),
+  };
+}
+
+// ?date=YYYY-MM-DD (local, default today): that day's counters + funnel of the leads that started that day
+// ?tenant=id narrows both to one tenant
+app.get("/metrics/daily", (req, res) => {
+  if (!requireDebugToken(req, res)) return;
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(String(req.query.date || "")) ? String(req.query.date) : metrics.today();
+  const localDate = (ts) => new Date(Date.parse(ts) + TZ_OFFSET_MIN * 60000).toISOString().slice(0, 10);
+
+  const tenant = tenants.byId(String(req.query.tenant || ""));
+  const cohort = Object.values(leads).filter(
+    (l) => l.createdAt && localDate(l.createdAt) === date && (!tenant || tenantOf(l).id === tenant.id)
+  );
+  const funnel = FUNNEL_STAGES.map((stage) => {
+    const reached = cohort.filter((l) => funnelStagesReached(l)[stage]).length;
+    return { stage, leads: reached, pct: cohort.length ? Math.round((reached / cohort.length) * 100) : 0 };
+  });
+
+  // With ?tenant=, only the series labelled with it
+  const counters = Object.fromEntries(
+    Object.entries(metrics.day(date)).filter(([k]) => !tenant || k.includes(`tenant="${tenant.id}"`))
+  );
+  const aiLatencyAvg = {};
+  for (const [k, count] of Object.entries(counters)) {
+    const m = k.match(/^ai_latency_seconds_count\{model="(.+)"\}$/);
+    if (m) aiLatencyAvg[m[1]] = Number((counters[`ai_latency_seconds_sum{model="${m[1]}"}`] / count).toFixed(3));
+  }
+  res.json({ ok: true, date, tenant: tenant?.id || "all", counters, aiLatencyAvgSeconds: aiLatencyAvg, funnel });
+});
+
+app.get("/debug/outbox", (req, res) => {
+  if (!requireDebugToken(req, res)) return;
+  res.json({ ok: true, stats: events.stats(), outbox: events.outbox() });
+});
+
 // ======= AI Brain (light prompt) =======
-function buildFactsCompact() {
+function buildFactsCompact(tenant = tenants.defaultTenant()) {
   // Compact = faster
   return [
-    "Cortinas Argentinas (Rosario, Santa Fe).",
-    "Showroom: Bv. Avellaneda Bis 235. Horario: 8 a 17.",
-    "Hacemos Roller, textiles, bandas verticales, toldos y cerramientos. Todo a medida.",
-    "Medición/relevamiento a domicilio sin cargo. Envíos a todo el país.",
-    "No damos precios/estimaciones por chat.",
+    ...(tenant.facts || []),
+    `Horario: ${businessCalendar.describeWeekly()}.`,
+    ...afterHoursFacts(),
+    PRICE_ESTIMATES_ENABLED
+      ? `Rangos de precio orientativos solo para: ${pricingFor(tenant).enabledProducts().join(", ") || "ninguno"} ` +
+        "(los calcula el sistema). El presupuesto final lo hace un asesor."
+      : "No damos precios/estimaciones por chat.",
   ].join("\n");
 }
 
+function formatHistory(msgs) {
+  return msgs.map((m) => `${speaker(m)}: ${m.media?.length || m.location ? describeForAI(m) : m.text}`).join("\n");
+}
+
 function summarizeHistory(lead) {
-  const msgs = (lead?.messages || []).slice(-AI_HISTORY_LIMIT);
-  return msgs
-    .map((m) => `${m.from === "lead" ? "Cliente" : m.from === "bot" ? "Asistente" : "Sistema"}: ${m.text}`)
-    .join("\n");
+  return formatHistory((lead?.messages || []).slice(-AI_HISTORY_LIMIT));
 }
 
-async function aiDecideAndReply({ incoming, lead, model }) {
-  const facts = buildFactsCompact();
+async function aiDecideAndReply({ incoming, lead, model, timeoutMs, useRules = true }) {
+  const tenant = tenantOf(lead);
+  const flow = flowOf(lead);
+  const facts = buildFactsCompact(tenant);
 
   const state = {
-    name: lead?.name || "",
-    zone: lead?.zone || "",
-    intentSummary: lead?.intentSummary || "",
-    availability: lead?.availability || "", // <-- NUEVO
+    ...Object.fromEntries(flow.fields.map((f) => [f, lead?.[f] || ""])),
     pendingHandoff: lead?.pendingHandoff || null,
     handedOff: Boolean(lead?.handedOff),
+    appointment: lead?.appointment ? `${lead.appointment.label} (${lead.appointment.status})` : null,
+    visitOffer: lead?.visitOffer ? lead.visitOffer.slots.map((s) => s.label) : null,
+    quoteItems: lead?.quoteItems || [],
   };
 
   // Ultra-light instructions to reduce latency
   const instructions = `
-Sos Caia, asistente comercial de Cortinas Argentinas.
+Sos ${tenant.botName}, asistente comercial de ${tenant.brand}.
 
 Tarea:
 - Responder breve y útil.
 - Actualizar estado SOLO si el cliente lo dijo explícito:
-  name, zone, intentSummary (1 línea de qué busca), availability (día/horario posible).
+  ${flow.promptFields()}.
 - Detectar si el cliente pidió EXPLÍCITAMENTE:
-  handoff_intent="price" (precio/presupuesto/cotización) o "visit" (coordinar visita/medición/agendar).
+  handoff_intent=${flow.promptIntents()}.
   Si no lo pidió explícito: "none".
 
 Reglas: no inventar, no precios, no fotos, 0-1 emoji.
+Si hay CONOCIMIENTO, usalo para responder consultas de productos/telas/plazos; si no alcanza, ofrecé pasarlo con un asesor.
+opt_out=true solo si el cliente pide que no le escribamos más / darse de baja.
 
-IMPORTANTE (handoff):
-- Para "price": NO derivar aún a menos que existan intentSummary + name + zone.
-- Para "visit": NO derivar aún a menos que existan intentSummary + name + zone + availability.
+Correcciones:
+- ${flow.fields.join("/")}: completalos solo si en ESTADO_ACTUAL están vacíos.
+- Si el cliente CAMBIA un dato que ya tiene valor (ej: "perdón, en realidad estoy en Funes"),
+  agregalo a corrections: {field, value, explicit (true si dijo que corrige), confidence 0-1}.
+- Si no hay correcciones: corrections = [].
 
+IMPORTANTE (handoff):
+${flow.promptRequirements().join("\n")}
+
+Cotización (quoteItems):
+- Lista COMPLETA de lo que quiere cotizar, una fila por medida distinta (ej: "dos ventanas de 1,20 x 1,50 en el living"
+  -> room "living", width_m 1.2, height_m 1.5, quantity 2). Repetí las filas que ya están en ESTADO_ACTUAL.
+- Lo que no dijo: 0 / "" / "unknown". Medidas en metros (cm -> m).
+- Si hay FALTA_COTIZACION y pidió precio, preguntá SOLO eso (1 pregunta). Si no sabe las medidas, no insistas.
+${PRICE_ESTIMATES_ENABLED ? "- Rangos de precio: los envía el sistema cuando están las medidas; vos NUNCA escribas montos.\n" : ""}
 Si falta algo y handoff_intent != "none":
 - reply debe pedir SOLO lo que falta.
 - Máximo 1 pregunta.
@@ -337,16 +1308,22 @@ Si YA están todos los datos requeridos (según el tipo):
 - reply debe: confirmar (1 línea) + decir “Te contactamos por este mismo WhatsApp en breve” + agradecer.
 
 Salida: JSON estricto:
-{"reply":"...","name":"","zone":"","intentSummary":"","availability":"","handoff_intent":"none|price|visit"}
+${flow.promptOutput()}
 `.trim();
 
+  // Only what's relevant to this message (+ what they're looking for, for short follow-ups)
+  const kb = knowledgeFor(tenantOf(lead)).retrieve(`${incoming} ${lead?.intentSummary || ""}`, {
+    limit: KNOWLEDGE_LIMIT,
+  });
+  const missingQuote = nextMissingQuestion(lead?.quoteItems || []);
+
   const input = `
 FACTS:
 ${facts}
-
+${kb.length ? `\nCONOCIMIENTO:\n${formatForPrompt(kb)}\n` : ""}${missingQuote ? `\nFALTA_COTIZACION: ${missingQuote}\n` : ""}
 ESTADO_ACTUAL:
 ${JSON.stringify(state)}
-
+${lead?.summary?.text ? `\nRESUMEN_PREVIO (lo anterior al historial):\n${lead.summary.text}\n` : ""}
 HISTORIAL:
 ${summarizeHistory(lead)}
 
@@ -354,229 +1331,1188 @@ MENSAJE_CLIENTE:
 ${incoming}
 `.trim();
 
-  const r = await openai.responses.create({
-    model,
-    reasoning: { effort: "low" },
-    instructions,
-    input,
-  });
+  const r = await llm.respond(
+    {
+      model,
+      reasoning: { effort: "low" },
+      instructions,
+      input,
+      format: flow.textFormat, // structured outputs: the API enforces the schema (built from the flow)
+      context: { lead, incoming }, // what the rules backend decides from
+    },
+    { timeoutMs, useRules }
+  );
+  recordAiUsage(lead, r.model, r.usage);
+  recordAiProvider(lead, r.provider, r.model);
 
-  const text = (r.output_text || "").trim();
-  const start = text.indexOf("{");
-  const end = text.lastIndexOf("}");
-  if (start < 0 || end <= start) throw new Error("ai_output_not_json");
+  // Still validated locally: repairs bad fields instead of throwing the whole turn away
+  const { decision, errors, fatal } = parseDecision(r.text, flow);
+  if (errors.length) recordContractErrors(lead, { model: r.model, errors, fatal, raw: r.text });
+  else aiContractStats.ok++;
 
-  const parsed = JSON.parse(text.slice(start, end + 1));
-  return {
-    reply: typeof parsed.reply === "string" ? parsed.reply.trim() : "",
-    name: typeof parsed.name === "string" ? parsed.name.trim() : "",
-    zone: typeof parsed.zone === "string" ? parsed.zone.trim() : "",
-    intentSummary: typeof parsed.intentSummary === "string" ? parsed.intentSummary.trim() : "",
-    availability: typeof parsed.availability === "string" ? parsed.availability.trim() : "", // <-- NUEVO
-    handoff_intent: parsed.handoff_intent,
-  };
+  if (fatal) throw new Error(errors.includes("ai_output_not_json") ? "ai_output_not_json" : "ai_output_invalid");
+  return decision;
 }
 
-function applyStateFromAI(lead, out) {
-  if (!lead.name && out.name) lead.name = out.name;
-  if (!lead.zone && out.zone) lead.zone = out.zone;
-  if (!lead.intentSummary && out.intentSummary) lead.intentSummary = out.intentSummary;
-  if (!lead.availability && out.availability) lead.availability = out.availability; // <-- NUEVO
+// Per-model latency/outcome metrics (the timeout applies to each provider tried)
+async function timedDecision({ incoming, lead, model, timeoutMs, useRules = true }) {
+  const startedAt = Date.now();
+  let outcome = "ok";
+  try {
+    return await aiDecideAndReply({ incoming, lead, model, timeoutMs, useRules });
+  } catch (e) {
+    const msg = e?.message || "";
+    outcome = ["timeout", "circuit_open"].includes(msg) ? msg : msg.startsWith("ai_output_") ? "invalid" : "error";
+    throw e;
+  } finally {
+    metric.aiRequests.inc({ model, outcome });
+    metric.aiLatency.observe({ model }, (Date.now() - startedAt) / 1000);
+  }
 }
 
-// Fallback ONLY when AI timed out.
-// Keep it contextual and ask only what's missing.
-// (This is the “demo stability” lever.)
-function timeoutFallbackReply(lead, incoming) {
-  const t = String(incoming || "").toLowerCase();
-
-  // Si ya estábamos en flujo de handoff, respetarlo (clave cuando hay timeouts)
-  const pending = lead?.pendingHandoff?.type; // "visit" | "price" | null
-
-  const looksLikeVisit =
-    pending === "visit" ||
-    t.includes("visita") ||
-    t.includes("medicion") ||
-    t.includes("medición") ||
-    t.includes("relevamiento") ||
-    t.includes("agendar") ||
-    t.includes("coordinar");
-
-  const looksLikePrice =
-    pending === "price" ||
-    t.includes("precio") ||
-    t.includes("presupuesto") ||
-    t.includes("cotiz") ||
-    t.includes("cuanto") ||
-    t.includes("cuánto") ||
-    t.includes("valor");
-
-  // Missing fields (para “visit” requiere availability también)
-  const missing = [];
-  if (!lead.intentSummary) missing.push("qué estás buscando (en 1 frase)");
-  if (!lead.name) missing.push("tu nombre");
-  if (!lead.zone) missing.push("tu zona/barrio");
-  if (looksLikeVisit && !lead.availability) missing.push("qué día y horario te queda mejor (de 8 a 17)");
-
-  if (looksLikeVisit || looksLikePrice) {
-    if (missing.length) {
-      // Preguntar SOLO 1 cosa
-      return `Dale 🙂 Para coordinarlo bien, ¿me decís ${missing[0]}?`;
-    }
+// Which provider answered, on the lead; the log gets a line whenever it changes (e.g. OpenAI -> rules)
+function recordAiProvider(lead, provider, model) {
+  if (!lead) return;
+  if (provider === "rules") metric.aiFallbacks.inc();
+  if (lead.aiProvider?.name !== provider) {
+    appendMessage(lead, "system", `AI_PROVIDER: ${provider}${model ? ` (${model})` : ""}`);
+  }
+  lead.aiProvider = { name: provider, model: model || "", at: nowTs() };
+  persistLead(lead);
+}
 
-    // Si está todo, confirmación (sin preguntas)
-    return `Perfecto${lead.name ? `, ${lead.name}` : ""}. 🙌 Ya lo paso al asesor y te contactamos por este mismo WhatsApp en breve. ¡Gracias!`;
+// Per-lead record of schema violations (which prompts/conversations break the contract)
+function recordContractErrors(lead, { model, errors, fatal, raw }) {
+  if (fatal) aiContractStats.failed++;
+  else aiContractStats.repaired++;
+  metric.aiContract.inc({ result: fatal ? "fatal" : "repaired" });
+  console.warn("AI contract violation", { phone: lead?.phone, model, errors, fatal });
+  if (!lead) return;
+
+  lead.aiContractErrors = [
+    ...(lead.aiContractErrors || []),
+    { ts: nowTs(), model, errors, fatal, raw: String(raw || "").slice(0, 500) },
+  ].slice(-20);
+  persistLead(lead);
+}
+
+// ======= Summaries =======
+// Folds the messages that left the history window into lead.summary. Runs after the turn (inside the
+// lead queue), so it never delays a reply; a failed fold is retried on the next turn.
+async function maybeUpdateSummary(lead) {
+  if (!SUMMARY_ENABLED || lead.handedOff || lead.closed || overDailyBudget(lead)) return;
+  const due = summaryBatch(lead, { window: AI_HISTORY_LIMIT, batch: SUMMARY_BATCH });
+  if (!due) return;
+
+  const model = tenantOf(lead).models.fast;
+  const input = `RESUMEN_PREVIO:\n${lead.summary?.text || "(vacío)"}\n\nMENSAJES_NUEVOS:\n${formatHistory(due.messages)}`;
+  try {
+    const r = await llm.respond(
+      { model, reasoning: { effort: "low" }, instructions: summaryInstructions(SUMMARY_MAX_CHARS), input },
+      { timeoutMs: AI_TIMEOUT_SUMMARY, useRules: false }
+    );
+    recordAiUsage(lead, r.model, r.usage);
+    const text = String(r.text || "")
+      .trim()
+      .slice(0, SUMMARY_MAX_CHARS);
+    if (!text) throw new Error("empty_summary");
+    lead.summary = { text, upTo: due.upTo, updatedAt: nowTs() };
+    metric.aiSummaries.inc({ kind: "rolling", outcome: "ok" });
+    persistLead(lead);
+  } catch (e) {
+    metric.aiSummaries.inc({ kind: "rolling", outcome: "error" });
+    console.error("summary error:", e?.message || e);
   }
+}
 
-  // Fallback normal (no visit/price)
-  if (!lead.intentSummary) {
-    return "Disculpá, tuve un problema técnico. ¿Me contás brevemente qué tipo de cortina buscás y para qué ambiente?";
+// Advisor brief from the captured fields, the summary and what came after it. null when off or failed:
+// the handoff goes out without it rather than waiting on a second try.
+async function generateBrief(lead) {
+  if (!ADVISOR_BRIEF_ENABLED || overDailyBudget(lead)) return null;
+  const model = tenantOf(lead).models.fast;
+  const recent = (lead.messages || []).slice(lead.summary?.upTo || 0).filter((m) => m.from !== "system");
+  const input = [
+    `DATOS: ${JSON.stringify(leadFieldValues(lead))}`,
+    lead.quoteItems?.length ? `COTIZAR:\n${formatQuoteTable(lead.quoteItems)}` : "",
+    lead.appointment ? `VISITA: ${lead.appointment.label} (${lead.appointment.status})` : "",
+    lead.summary?.text ? `RESUMEN_PREVIO:\n${lead.summary.text}` : "",
+    `HISTORIAL:\n${formatHistory(recent.slice(-30))}`,
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+
+  try {
+    const r = await llm.respond(
+      { model, reasoning: { effort: "low" }, instructions: BRIEF_INSTRUCTIONS, input, format: BRIEF_TEXT_FORMAT },
+      { timeoutMs: AI_TIMEOUT_SUMMARY, useRules: false }
+    );
+    recordAiUsage(lead, r.model, r.usage);
+    const brief = parseBrief(r.text);
+    if (!brief) throw new Error("brief_invalid");
+    metric.aiSummaries.inc({ kind: "brief", outcome: "ok" });
+    return { ...brief, ts: nowTs() };
+  } catch (e) {
+    metric.aiSummaries.inc({ kind: "brief", outcome: "error" });
+    console.error("brief error:", e?.message || e);
+    appendMessage(lead, "system", `BRIEF_ERR: ${e?.message || e}`);
+    return null;
   }
+}
 
-  return "Disculpá, tuve un problema técnico. ¿Tu prioridad es más oscurecer, bajar reflejos o ganar privacidad?";
+// Single write path for captured fields, so every change lands in lead.fieldHistory
+function setLeadField(lead, field, value, meta = {}) {
+  const previous = lead[field] || "";
+  if (!value || value === previous) return null;
+
+  lead[field] = value;
+  lead.fieldHistory = lead.fieldHistory || {};
+  lead.fieldHistory[field] = [...(lead.fieldHistory[field] || []), { ts: nowTs(), previous, value, ...meta }];
+  emitLeadEvent("lead.field_captured", lead, { field, previous, value, source: meta.source || "" });
+  const stage = field === "intentSummary" ? "intent" : field;
+  if (!previous && FUNNEL_STAGES.includes(stage)) metric.funnel.inc({ stage, tenant: lead.tenant });
+  return { field, previous, value };
 }
 
-function inferHandoffIntentFromText(lead, incoming) {
-  const t = String(incoming || "").toLowerCase();
-  const pending = lead?.pendingHandoff?.type;
+// Empty fields are filled as before; fields with a value only change through
+// out.corrections (explicit, or confidence >= CORRECTION_MIN_CONFIDENCE).
+// Returns the list of changes applied.
+function applyStateFromAI(lead, out) {
+  const flow = flowOf(lead);
+  // Values that break the flow's validation are logged and dropped
+  const valid = (field, value) => {
+    const v = flow.clean(field, value);
+    if (v === null) appendMessage(lead, "system", `FIELD_REJECTED ${field}="${value}"`);
+    return v;
+  };
+
+  const changes = [];
+  for (const field of flow.fields) {
+    if (!lead[field] && out[field]) changes.push(setLeadField(lead, field, valid(field, out[field]), { source: "ai" }));
+  }
 
-  const visit =
-    pending === "visit" ||
-    t.includes("visita") ||
-    t.includes("medicion") ||
-    t.includes("medición") ||
-    t.includes("relevamiento") ||
-    t.includes("agendar") ||
-    t.includes("coordinar");
+  for (const c of out.corrections || []) {
+    if (!c.explicit && c.confidence < CORRECTION_MIN_CONFIDENCE) {
+      appendMessage(lead, "system", `CORRECTION_IGNORED ${c.field}="${c.value}" (confidence ${c.confidence})`);
+      continue;
+    }
+    const change = setLeadField(lead, c.field, valid(c.field, c.value), {
+      source: "correction",
+      explicit: c.explicit,
+      confidence: c.confidence,
+    });
+    if (change) changes.push(change);
+  }
 
-  const price =
-    pending === "price" ||
-    t.includes("precio") ||
-    t.includes("presupuesto") ||
-    t.includes("cotiz") ||
-    t.includes("cuanto") ||
-    t.includes("cuánto") ||
-    t.includes("valor");
+  // The model returns the full list every turn; an empty list never wipes what we had
+  if (out.quoteItems?.length) lead.quoteItems = out.quoteItems;
 
-  if (visit) return "visit";
-  if (price) return "price";
-  return "none";
+  persistLead(lead);
+  return changes.filter(Boolean);
 }
 
-// ======= Handoff =======
-async function doHandoff({ lead, incoming, reasonTag }) {
-  if (lead.handedOff) return;
+// Cheap pre-filter so handed-off leads only hit the AI when they're likely fixing a field
+function looksLikeCorrection(incoming) {
+  const t = normalizeText(incoming);
+  return [
+    "perdon",
+    "en realidad",
+    "me equivoque",
+    "corrijo",
+    "correccion",
+    "no es ",
+    "no soy",
+    "me llamo",
+    "mi nombre",
+    "vivo en",
+    "estoy en",
+    "mejor el",
+    "mejor la",
+    "cambio",
+  ].some((k) => t.includes(k));
+}
 
-  lead.handedOff = true;
-  lead.pendingHandoff = null;
-  const snapshotPath = saveLeadSnapshot(lead, reasonTag);
+async function forwardCorrectionsToAdvisor(lead, changes) {
+  appendMessage(
+    lead,
+    "system",
+    `CORRECTION_FORWARDED: ${changes.map((c) => `${c.field} "${c.previous}" -> "${c.value}"`).join("; ")}`
+  );
   upsertConversationFile(lead);
+  await notifyAdvisor(lead, [
+    "✏️ ACTUALIZACIÓN DE DATOS",
+    `Nombre: ${lead.name || "sin_nombre"}`,
+    `Tel: ${lead.phone}`,
+    ...changes.map((c) => `${flowOf(lead).label(c.field)}: ${c.previous || "—"} → ${c.value}`),
+  ]);
+}
 
-  if (DEV_MODE) {
-    appendMessage(
-      lead,
-      "system",
-      `DEV_MODE: handoff suprimido. Tag=${reasonTag} Snapshot=${path.basename(snapshotPath)}`
-    );
-    upsertConversationFile(lead);
-    return;
+// After handoff the AI is only used to pick up corrections.
+// silent: relay mode, the advisor is already talking to the customer
+async function handlePostHandoffCorrection({ lead, incoming, from, silent = false }) {
+  if (!looksLikeCorrection(incoming)) return false;
+
+  // Same guards as a regular turn: no budget / global cap -> the caller's canned acknowledgement
+  const blocked = await aiBlockedReason(lead);
+  if (blocked) {
+    metric.aiSkipped.inc({ reason: blocked });
+    appendMessage(lead, "system", `AI_SKIPPED: ${blocked}`);
+    return false;
   }
 
-  if (HANDOFF_TO) {
-    const header = `${reasonTag === "visit" ? "📅" : "🧑‍💼"} HANDOFF (${reasonTag})`;
-    const lines = [
-      header,
-      `Nombre: ${lead.name || "sin_nombre"}`,
-      `Zona: ${lead.zone || "sin_zona"}`,
-      `Interés: ${lead.intentSummary || "sin_contexto"}`,
-      ...(reasonTag === "visit" ? [`Disponibilidad: ${lead.availability || "sin_disponibilidad"}`] : []),
-      `Tel: ${lead.phone}`,
-      `Mensaje: ${incoming}`,
-      `Snapshot: ${path.basename(snapshotPath)}`,
-    ];
-  
-    await sendWhatsApp(HANDOFF_TO, lines.join("\n"));
+  let changes = [];
+  try {
+    const model = tenantOf(lead).models.fast;
+    const out = await timedDecision({ incoming, lead, model, timeoutMs: AI_TIMEOUT_MAIN, useRules: false });
+    changes = applyStateFromAI(lead, out);
+  } catch (e) {
+    console.error("post-handoff correction error:", e?.message || e);
   }
+  if (!changes.length) return false;
+
+  if (!silent) await botReply(lead, from, "Anotado ✅ Ya le pasé el dato corregido al asesor.");
+  await forwardCorrectionsToAdvisor(lead, changes);
+  return true;
 }
 
-// ======= Main processing (async after FAST_ACK) =======
-async function processInbound({ incoming, from, lead }) {
-  // If already handed off: acknowledge + optionally forward
+// Fallback ONLY when AI timed out.
+// Keep it contextual and ask only what's missing.
+// (This is the “demo stability” lever.)
+// type: handoff type inferred for this turn (flow.detect), "none" otherwise
+function timeoutFallbackReply(lead, type) {
+  const flow = flowOf(lead);
+
+  if (flow.isHandoff(type)) {
+    // Preguntar SOLO 1 cosa, en el orden de "required" del flujo
+    const [next] = flow.missing(lead, type);
+    if (next) return `Dale 🙂 Para coordinarlo bien, ¿me decís ${flow.field(next).ask || flow.label(next)}?`;
+
+    // Si está todo, confirmación (sin preguntas)
+    return `Perfecto${lead.name ? `, ${lead.name}` : ""}. 🙌 Ya lo paso al asesor y te contactamos por este mismo WhatsApp en breve. ¡Gracias!`;
+  }
+
+  // Fallback normal (sin handoff): lo que falta para cualquier derivación, en el orden del flujo
+  const { texts } = tenantOf(lead);
+  const [next] = missingFields(lead, flow);
+  if (next) return texts.fallbackAsk.replace("{ask}", flow.field(next).ask || flow.label(next));
+  return texts.fallback;
+}
+
+// Deterministic backend (the "rules" provider): keyword intent + the contextual fallback reply.
+// Captures nothing; the decision goes through the same path as an AI one.
+function ruleDecision({ lead, incoming }) {
+  const flow = flowOf(lead);
+  const type = flow.detect(incoming, lead.pendingHandoff?.type);
+  return {
+    reply: promiseNextOpening(timeoutFallbackReply(lead, type)),
+    ...Object.fromEntries(flow.fields.map((f) => [f, ""])),
+    handoff_intent: type,
+    corrections: [],
+    opt_out: false,
+    quoteItems: [],
+  };
+}
+
+// ======= Media =======
+// Record what arrived on the lead (messages keep their own copy via appendMessage meta)
+function recordInboundMedia(lead, { sid, media, location }) {
+  const ts = nowTs();
+  for (const m of media) lead.media.push(Object.assign(m, { ts, sid }));
+
+  if (location) {
+    lead.location = { ts, ...location };
+    // A pin is explicit enough to fill the zone if we don't have one yet
+    if (!lead.zone) setLeadField(lead, "zone", zoneFromLocation(location), { source: "location" });
+  }
+  persistLead(lead);
+}
+
+async function transcribeInboundAudio(lead, media) {
+  for (const m of media) {
+    if (m.kind !== "audio" || m.transcript) continue;
+    if (!MEDIA_TRANSCRIBE) continue;
+    try {
+      m.transcript = await withTimeout(
+        transcribeAudio({
+          openai,
+          url: m.url,
+          contentType: m.contentType,
+          accountSid: process.env.TWILIO_ACCOUNT_SID,
+          authToken: process.env.TWILIO_AUTH_TOKEN,
+          model: TRANSCRIBE_MODEL,
+        }),
+        AI_TIMEOUT_TRANSCRIBE
+      );
+      appendMessage(lead, "system", `AUDIO_TRANSCRIPT: ${m.transcript}`);
+    } catch (e) {
+      console.error("transcribeAudio error:", e?.message || e);
+      appendMessage(lead, "system", `AUDIO_TRANSCRIPT_ERR: ${e?.message || e}`);
+    }
+  }
+  upsertConversationFile(lead);
+}
+
+function handoffMediaLines(lead) {
+  const lines = [];
+  if ((lead.media || []).length) {
+    lines.push(`Adjuntos: ${summarizeMediaCounts(lead.media)}`);
+    for (const m of lead.media) {
+      lines.push(`- ${m.kind}: ${m.url}${m.transcript ? ` ("${m.transcript}")` : ""}`);
+    }
+  }
+  if (lead.location) lines.push(`Ubicación: ${mapsLink(lead.location)}`);
+  return lines;
+}
+
+// ======= Visit scheduling =======
+// A slot type ("slots": true in the flow) with its basics offers real slots; the booking supplies the rest
+function wantsSlots(lead, type) {
+  const flow = flowOf(lead);
+  return Boolean(flow.handoff(type)?.slots) && flow.hasBasics(lead, type);
+}
+
+// The lead's advisor once assigned; before that, the default one.
+// Outside business hours it's held for the opening digest unless urgent (returns null then).
+async function notifyAdvisor(lead, lines, { urgent = false } = {}) {
+  const to = advisorAddressFor(lead);
+  if (!to) return null;
+  if (!urgent && !isOpenNow()) {
+    heldNotifications.add(to, lines.join("\n"), { ref: lead.ref || "", tenant: tenantOf(lead).id });
+    appendMessage(lead, "system", `ADVISOR_NOTIFY_HELD: se envía ${businessCalendar.describeNextOpening()}`);
+    return null;
+  }
+  return sendWhatsApp(to, lines.join("\n"), { tenant: tenantOf(lead) });
+}
+
+async function botReply(lead, from, text) {
+  appendMessage(lead, "bot", text);
+  upsertConversationFile(lead);
+  await sendWhatsApp(from, text, { tenant: tenantOf(lead) });
+}
+
+// Sends 2–3 concrete options. Returns false when the calendar has nothing to offer.
+async function offerVisitSlots(lead, from, { intro, purpose = "book" } = {}) {
+  const exclude = lead.appointment ? [lead.appointment.start] : [];
+  const slots = schedulerFor(tenantOf(lead)).offerSlots(lead.availability, { exclude });
+  if (!slots.length) {
+    appendMessage(lead, "system", "SCHEDULING: sin horarios libres para ofrecer");
+    return false;
+  }
+
+  lead.visitOffer = { purpose, slots, offeredAt: nowTs() };
+  persistLead(lead);
+
+  const msg = [
+    intro || `Perfecto${lead.name ? `, ${lead.name}` : ""} 🙂 Tengo estos horarios para la visita:`,
+    ...slots.map((s, i) => `${i + 1}) ${s.label}`),
+    "¿Cuál te queda mejor? Respondeme con el número.",
+  ].join("\n");
+  await botReply(lead, from, msg);
+  return true;
+}
+
+async function confirmVisit({ lead, slot, from, incoming }) {
+  const scheduler = schedulerFor(tenantOf(lead));
+  const booked = scheduler.book(slot, lead);
+  if (!booked) {
+    const offered = await offerVisitSlots(lead, from, {
+      intro: "Uy, ese horario se acaba de ocupar 😅 Te paso otras opciones:",
+      purpose: lead.visitOffer?.purpose,
+    });
+    if (!offered) await botReply(lead, from, "Uy, ese horario se acaba de ocupar. Ya le aviso al asesor para coordinarlo 🙌");
+    return;
+  }
+
+  const previous = lead.appointment?.status === "confirmed" ? lead.appointment : null;
+  if (previous) scheduler.cancel(previous.id);
+
+  lead.appointment = {
+    id: booked.id,
+    start: booked.start,
+    end: booked.end,
+    label: booked.label,
+    advisorId: booked.advisorId,
+    advisorName: booked.advisorName,
+    status: "confirmed",
+    bookedAt: nowTs(),
+  };
+  lead.visitOffer = null;
+  // Slot types never ask for availability: the booked slot is it (export, funnel, snapshot name)
+  setLeadField(lead, "availability", booked.label, { source: "slot" });
+  persistLead(lead);
+
+  await botReply(
+    lead,
+    from,
+    `Listo${lead.name ? `, ${lead.name}` : ""} ✅ Te agendé la visita para el ${booked.label}. ` +
+      "Si necesitás cambiarla o cancelarla, escribime por acá. ¡Gracias!"
+  );
+
+  if (previous) {
+    await notifyAdvisor(lead, [
+      "🔁 VISITA REPROGRAMADA",
+      `Nombre: ${lead.name || "sin_nombre"}`,
+      `Tel: ${lead.phone}`,
+      `Antes: ${previous.label}`,
+      `Ahora: ${booked.label} (${booked.advisorName})`,
+    ]);
+    return;
+  }
+  await doHandoff({ lead, incoming, reasonTag: lead.pendingHandoff?.type || "visit" });
+}
+
+async function cancelVisit({ lead, from }) {
+  const appt = lead.appointment;
+  schedulerFor(tenantOf(lead)).cancel(appt.id);
+  lead.appointment = { ...appt, status: "cancelled", cancelledAt: nowTs() };
+  lead.visitOffer = null;
+  persistLead(lead);
+
+  await botReply(lead, from, `Listo, cancelé la visita del ${appt.label}. Cuando quieras la volvemos a coordinar 🙂`);
+  await notifyAdvisor(lead, [
+    "❌ VISITA CANCELADA",
+    `Nombre: ${lead.name || "sin_nombre"}`,
+    `Tel: ${lead.phone}`,
+    `Turno: ${appt.label}`,
+  ]);
+}
+
+// Offer replies + cancel/reschedule of a booked visit. Returns true if the turn was handled.
+async function handleSchedulingTurn({ lead, incoming, from }) {
+  const scheduler = schedulerFor(tenantOf(lead));
+  const offer = lead.visitOffer;
+  if (offer && Date.now() - Date.parse(offer.offeredAt) > VISIT_OFFER_TTL_HOURS * 3600000) {
+    lead.visitOffer = null;
+    appendMessage(lead, "system", "SCHEDULING: oferta de horarios vencida");
+    persistLead(lead);
+    if (scheduler.pickSlotFromReply(incoming, offer.slots)) {
+      return offerVisitSlots(lead, from, {
+        intro: "Esos horarios ya no están vigentes 😅 Te paso los disponibles ahora:",
+        purpose: offer.purpose,
+      });
+    }
+  }
+
+  if (lead.visitOffer) {
+    const slot = scheduler.pickSlotFromReply(incoming, lead.visitOffer.slots);
+    if (slot) {
+      await confirmVisit({ lead, slot, from, incoming });
+      return true;
+    }
+    // Mid-reschedule the AI is out of the loop (lead already handed off): ask again
+    if (lead.visitOffer.purpose === "reschedule" && !detectAppointmentChange(incoming)) {
+      await botReply(lead, from, "¿Cuál de estos horarios te queda mejor? " +
+        lead.visitOffer.slots.map((s, i) => `${i + 1}) ${s.label}`).join(" · "));
+      return true;
+    }
+  }
+
+  if (lead.appointment?.status === "confirmed") {
+    const change = detectAppointmentChange(incoming);
+    if (change === "cancel") {
+      await cancelVisit({ lead, from });
+      return true;
+    }
+    if (change === "reschedule") {
+      const offered = await offerVisitSlots(lead, from, {
+        intro: "Dale, sin problema 🙂 Estos son otros horarios disponibles:",
+        purpose: "reschedule",
+      });
+      return offered;
+    }
+  }
+  return false;
+}
+
+// ======= Advisor relay =======
+function leadAddress(lead) {
+  const p = String(lead.phone || "");
+  return `whatsapp:${p.startsWith("+") ? p : `+${p}`}`;
+}
+
+// Advisors of the tenant whose number was written to
+function isAdvisorNumber(from, tenant) {
+  const digits = (v) => normalizePhone(v).replace("+", "");
+  return routerFor(tenant).advisorPhones().some((p) => digits(p) === digits(from));
+}
+
+function advisorAddressFor(lead) {
+  return lead?.advisor?.phone || routerFor(tenantOf(lead)).defaultAdvisor()?.phone || "";
+}
+
+// Open conversations per advisor (least_loaded)
+function openLeadsFor(advisorId) {
+  return Object.values(leads).filter((l) => l.advisor?.id === advisorId && l.handedOff && !l.closed).length;
+}
+
+// Sticky: a lead keeps its advisor (corrections, relay, reschedules, a second handoff).
+// A booked visit goes to the advisor whose calendar has it, when that advisor is in the table.
+function assignAdvisor(lead, type) {
+  if (lead.advisor) return lead.advisor;
+
+  const router = routerFor(tenantOf(lead));
+  const fromCalendar = flowOf(lead).handoff(type)?.slots ? router.advisorById(lead.appointment?.advisorId) : null;
+  const picked = fromCalendar
+    ? { ...fromCalendar, strategy: "calendar" }
+    : router.pick(lead, { type, load: openLeadsFor });
+  if (!picked) return null;
+
+  lead.advisor = { group: "", ...picked, assignedAt: nowTs() };
+  const via = [picked.strategy, picked.group].filter(Boolean).join(", ");
+  appendMessage(lead, "system", `ADVISOR_ASSIGNED ${picked.id} (${via})`);
+  return lead.advisor;
+}
+
+function ensureLeadRef(lead) {
+  if (!lead.ref) {
+    const taken = new Set(Object.values(leads).map((l) => l.ref).filter(Boolean));
+    lead.ref = generateRef(taken);
+  }
+  return lead.ref;
+}
+
+// tenant: only that tenant's leads (an advisor never reaches another brand's customers)
+function findLeadByRef(ref, tenant = null) {
+  return Object.values(leads).find((l) => l.ref === ref && (!tenant || tenantOf(l).id === tenant.id)) || null;
+}
+
+// WhatsApp "reply" on a handoff/relayed message -> the lead it was about
+function findLeadByAdvisorSid(sid) {
+  if (!sid) return null;
+  return Object.values(leads).find((l) => (l.relay?.advisorSids || []).includes(sid)) || null;
+}
+
+function trackAdvisorMessage(lead, msg) {
+  if (!msg?.sid || !lead.relay) return;
+  lead.relay.advisorSids = [...(lead.relay.advisorSids || []), msg.sid].slice(-50);
+  persistLead(lead);
+}
+
+// Customer -> advisor
+async function relayToAdvisor(lead, text, media = []) {
+  // Live conversation: never held
+  const msg = await notifyAdvisor(
+    lead,
+    [`💬 #${lead.ref} ${lead.name || lead.phone}: ${text}`, ...media.map((m) => `- ${m.kind}: ${m.url}`)],
+    { urgent: true }
+  );
+  trackAdvisorMessage(lead, msg);
+}
+
+// Advisor -> customer (or a #command). Runs on its own queue, outside any lead queue.
+// Answers go back to whichever advisor wrote, from the tenant number they wrote to.
+async function handleAdvisorMessage({ from, text, repliedSid, media = [], tenant = tenants.defaultTenant() }) {
+  const { ref, command, body } = parseAdvisorMessage(text);
+  const lead = ref ? findLeadByRef(ref, tenant) : findLeadByAdvisorSid(repliedSid);
+  const answer = (msg) => sendWhatsApp(from, msg, { tenant });
+
+  if (command === "help" || (!lead && !ref)) {
+    await answer(ADVISOR_HELP);
+    return;
+  }
+  if (!lead) {
+    await answer(`No encontré el cliente #${ref}.\n${ADVISOR_HELP}`);
+    return;
+  }
+
+  if (command === "close") {
+    lead.relay = { ...(lead.relay || {}), active: false };
+    lead.closed = true;
+    lead.closedAt = nowTs();
+    appendMessage(lead, "system", "RELAY: conversación cerrada por el asesor");
+    upsertConversationFile(lead);
+    await answer(`✅ #${lead.ref} cerrado.`);
+    return;
+  }
+
+  if (command === "bot") {
+    lead.relay = { ...(lead.relay || {}), active: false };
+    lead.handedOff = false;
+    lead.pendingHandoff = null;
+    lead.closed = false;
+    appendMessage(lead, "system", `RELAY: el asesor le devolvió el control a ${tenantOf(lead).botName}`);
+    upsertConversationFile(lead);
+    await answer(`🤖 #${lead.ref} vuelve a ${tenantOf(lead).botName}.`);
+    return;
+  }
+
+  if (!body && !media.length) {
+    await answer(ADVISOR_HELP);
+    return;
+  }
+
+  lead.relay = { ...(lead.relay || {}), active: true };
+  lead.closed = false;
+  appendMessage(lead, "advisor", body, media.length ? { media } : undefined);
+  upsertConversationFile(lead);
+  await sendWhatsApp(leadAddress(lead), body, {
+    mediaUrl: media.length ? media.map((m) => m.url) : undefined,
+    tenant: tenantOf(lead),
+  });
+}
+
+let advisorQueue = Promise.resolve();
+function enqueueAdvisor(fn) {
+  advisorQueue = advisorQueue.then(fn).catch((e) => console.error("advisor task error:", e?.message || e));
+  return advisorQueue;
+}
+
+// ======= Consent (opt-out / opt-in) =======
+async function optOutLead({ lead, from, source, text }) {
+  // Recorded before anything is sent: a failed confirmation must not lose the BAJA
+  consent.set(lead.phone, "opted_out", { source, text });
+  lead.visitOffer = null; // an offer left open could still be booked from a later burst
+  appendMessage(lead, "system", `CONSENT: opted_out (${source})`);
+
+  // The single confirmation is the last message this number gets from us
+  const msg = tenantOf(lead).texts.optOut;
+  appendMessage(lead, "bot", msg);
+  upsertConversationFile(lead);
+  await sendWhatsApp(from, msg, { allowOptedOut: true, tenant: tenantOf(lead) });
+
+  if (lead.handedOff) {
+    await notifyAdvisor(lead, [
+      `🚫 BAJA #${lead.ref || ""}`,
+      `Tel: ${lead.phone}`,
+      `Nombre: ${lead.name || "sin_nombre"}`,
+    ]);
+  }
+}
+
+async function optInLead({ lead, from, text }) {
+  consent.set(lead.phone, "opted_in", { source: "customer", text });
+  appendMessage(lead, "system", "CONSENT: opted_in");
+  await botReply(lead, from, tenantOf(lead).texts.optIn);
+}
+
+// What the bot asked last (a bare "baja" may just answer it)
+function lastBotText(lead) {
+  return lead.messages.findLast((m) => m.from === "bot")?.text || "";
+}
+
+// BAJA / ALTA keywords, and silence for numbers that opted out. Returns true if the turn was handled.
+async function handleConsentTurn({ lead, incoming, from }) {
+  const cmd = detectConsentCommand(incoming, { lastBotText: lastBotText(lead) });
+  const optedOut = consent.isOptedOut(lead.phone);
+
+  if (cmd === "opt_in" && optedOut) {
+    await optInLead({ lead, from, text: incoming });
+    return true;
+  }
+  if (cmd === "opt_out" && !optedOut) {
+    await optOutLead({ lead, from, source: "keyword", text: incoming });
+    return true;
+  }
+  if (optedOut) {
+    appendMessage(lead, "system", "CONSENT: mensaje recibido de un número dado de baja, sin respuesta");
+    upsertConversationFile(lead);
+    return true;
+  }
+  return false;
+}
+
+// ======= Follow-ups =======
+async function sendFollowup(lead) {
+  const now = Date.now();
+  // Re-check inside the lead queue: the customer may have answered meanwhile
+  const cfg = { delaysMin: FOLLOWUP_DELAYS_MIN, maxAttempts: FOLLOWUP_MAX_ATTEMPTS, flow: flowOf(lead) };
+  if (!isStalled(lead, now, cfg)) return;
+
+  const attempt = (lead.followup?.attempts || 0) + 1;
+  const inWindow = inSessionWindow(lead, now);
+  const text = nudgeText(lead, cfg.flow);
+  const tenant = tenantOf(lead);
+  const templateSid = tenant.followupTemplateSid; // templates are approved per sender number
+
+  if (!inWindow && !templateSid) {
+    lead.followup = {
+      ...(lead.followup || {}),
+      attempts: attempt,
+      lastSentAt: nowTs(),
+      outcome: "skipped_no_template",
+    };
+    appendMessage(lead, "system", `FOLLOWUP #${attempt} skipped: outside 24h window and no FOLLOWUP_TEMPLATE_SID`);
+    upsertConversationFile(lead);
+    return;
+  }
+
+  const mode = inWindow ? "session" : "template";
+  try {
+    await sendWhatsApp(
+      leadAddress(lead),
+      text,
+      inWindow ? { tenant } : { tenant, contentSid: templateSid, contentVariables: { 1: lead.name || "" } }
+    );
+    lead.followup = { attempts: attempt, lastSentAt: nowTs(), lastMode: mode, outcome: "sent" };
+    appendMessage(lead, "bot", inWindow ? text : `[template ${templateSid}]`, {
+      followup: attempt,
+    });
+    appendMessage(lead, "system", `FOLLOWUP #${attempt} sent (${mode})`);
+  } catch (e) {
+    lead.followup = { ...(lead.followup || {}), attempts: attempt, lastSentAt: nowTs(), outcome: "error" };
+    appendMessage(lead, "system", `FOLLOWUP #${attempt} error: ${e?.message || e}`);
+  }
+  upsertConversationFile(lead);
+}
+
+// Customer came back after a nudge: record the outcome and reset the counter for future stalls
+function noteFollowupReply(lead) {
+  if (!lead.followup?.attempts) return;
+  appendMessage(lead, "system", `FOLLOWUP replied after ${lead.followup.attempts} nudge(s)`);
+  lead.followup = { ...lead.followup, attempts: 0, outcome: "replied", repliedAt: nowTs() };
+  persistLead(lead);
+}
+
+function runFollowupSweep() {
+  const now = Date.now();
+  if (inQuietHours(now, { quiet: FOLLOWUP_QUIET, tzOffsetMin: TZ_OFFSET_MIN })) return;
+
+  const cfg = { delaysMin: FOLLOWUP_DELAYS_MIN, maxAttempts: FOLLOWUP_MAX_ATTEMPTS };
+  for (const lead of Object.values(leads)) {
+    if (consent.isOptedOut(lead.phone)) continue;
+    if (isStalled(lead, now, { ...cfg, flow: flowOf(lead) })) enqueueLead(lead, () => sendFollowup(lead));
+  }
+}
+
+// ======= Business hours =======
+function isOpenNow() {
+  return !AFTER_HOURS_ENABLED || businessCalendar.isOpen();
+}
+
+// For the prompt: only when closed, so the model doesn't promise "en breve"
+function afterHoursFacts() {
+  if (isOpenNow()) return [];
+  const reason = businessCalendar.todayClosedReason();
+  return [
+    `AHORA ESTAMOS CERRADOS${reason ? ` (${reason})` : ""}. Te contactan ${businessCalendar.describeNextOpening()}.`,
+    "Fuera de horario no prometas respuesta inmediata ni 'en breve'.",
+  ];
+}
+
+// "te contactamos ... en breve" -> "... mañana a partir de las 8" when we're closed
+function promiseNextOpening(text) {
+  if (isOpenNow()) return text;
+  const when = businessCalendar.describeNextOpening();
+  return String(text).replace(/\b(en breve|a la brevedad|enseguida|en un rato)\b/gi, when);
+}
+
+// At opening: everything held overnight goes out as one digest per advisor
+async function runDigestSweep() {
+  if (!isOpenNow() || !heldNotifications.size()) return;
+  const byTo = heldNotifications.drain();
+  for (const [to, held] of Object.entries(byTo)) {
+    // One digest per tenant number the advisor works for
+    const byTenant = {};
+    for (const it of held) (byTenant[it.tenant || ""] = byTenant[it.tenant || ""] || []).push(it);
+
+    for (const [tenantId, items] of Object.entries(byTenant)) {
+      const tenant = tenants.byId(tenantId) || tenants.defaultTenant();
+      const chunks = buildDigest(items, { title: "🌅 Mientras estábamos cerrados" });
+      for (const [i, { body }] of chunks.entries()) {
+        try {
+          const msg = await sendWhatsApp(to, body, { tenant });
+          // A single-lead digest can still be answered with WhatsApp "reply"
+          const lead = items.length === 1 && items[0].ref ? findLeadByRef(items[0].ref, tenant) : null;
+          if (lead) trackAdvisorMessage(lead, msg);
+        } catch (e) {
+          console.error("digest send error:", e?.message || e);
+          // What already went out stays sent: only this message's items and the ones after it are retried
+          heldNotifications.putBack(chunks.slice(i).flatMap((c) => c.items));
+          break;
+        }
+      }
+    }
+  }
+}
+
+// ======= Price estimates =======
+function estimateLabel(e) {
+  const items = e.lines.map((l) => `${l.quantity}× ${l.product} ${l.fabric} ${l.width_m}x${l.height_m}m`).join(", ");
+  return `${formatMoney(e.low, e.currency)} - ${formatMoney(e.high, e.currency)} (${items}; tabla ${e.version})`;
+}
+
+// Sends the range once per set of items; returns true if one was sent
+async function maybeSendEstimate(lead, from) {
+  if (!PRICE_ESTIMATES_ENABLED) return false;
+  const est = pricingFor(tenantOf(lead)).estimate(lead.quoteItems || []);
+  if (!est.ok) {
+    if (lead.quoteItems?.length) appendMessage(lead, "system", `ESTIMATE_SKIPPED ${est.reason}`);
+    return false;
+  }
+
+  const items = JSON.stringify(lead.quoteItems);
+  const last = (lead.estimates || []).at(-1);
+  if (last && JSON.stringify(last.items) === items && last.version === est.version) return false;
+
+  const record = { ts: nowTs(), items: lead.quoteItems, ...est };
+  delete record.ok;
+  lead.estimates = [...(lead.estimates || []), record];
+
+  const detail = est.lines
+    .map((l) => {
+      const motor = l.motorized ? " (motorizada)" : "";
+      return `• ${l.quantity} × ${l.product} ${l.fabric} ${l.width_m} × ${l.height_m} m${motor}`;
+    })
+    .join("\n");
+  const msg =
+    `💲 *Precio estimado orientativo (no es presupuesto)*\n${detail}\n` +
+    `Rango: ${formatMoney(est.low, est.currency)} a ${formatMoney(est.high, est.currency)}, con instalación.\n` +
+    "El valor final lo confirma un asesor después de medir.";
+  await botReply(lead, from, msg);
+  return true;
+}
+
+// ======= Handoff =======
+async function doHandoff({ lead, incoming, reasonTag }) {
+  if (lead.handedOff) return;
+
+  lead.handedOff = true;
+  lead.handedOffAt = nowTs();
+  lead.handoffType = reasonTag;
+  lead.pendingHandoff = null;
+  ensureLeadRef(lead);
+  const advisor = assignAdvisor(lead, reasonTag);
+  lead.relay = { active: true, since: nowTs(), advisorSids: [] };
+  persistLead(lead);
+  emitLeadEvent("lead.handed_off", lead, { type: reasonTag });
+  metric.handoffs.inc({ type: reasonTag, tenant: lead.tenant });
+  metric.funnel.inc({ stage: "handoff", tenant: lead.tenant });
+  const snapshotPath = saveLeadSnapshot(lead, reasonTag);
+  upsertConversationFile(lead);
+
+  if (DEV_MODE) {
+    appendMessage(
+      lead,
+      "system",
+      `DEV_MODE: handoff suprimido. Tag=${reasonTag} Snapshot=${path.basename(snapshotPath)}`
+    );
+    upsertConversationFile(lead);
+  } else if (advisor) {
+    const flow = flowOf(lead);
+    const type = flow.handoff(reasonTag);
+    // A booked slot replaces the availability line
+    const booked = type?.slots && lead.appointment?.status === "confirmed";
+    const lines = [
+      `${type?.emoji || "🧑‍💼"} HANDOFF (${reasonTag})`,
+      ...flow.handoffLines(lead, reasonTag).filter((l) => !(booked && l.startsWith(`${flow.label("availability")}:`))),
+      ...(booked ? [`Visita agendada: ${lead.appointment.label} (${lead.appointment.advisorName})`] : []),
+      ...(lead.quoteItems?.length ? ["Cotizar:", formatQuoteTable(lead.quoteItems)] : []),
+      ...(lead.estimates?.length ? [`Estimado dado: ${estimateLabel(lead.estimates.at(-1))}`] : []),
+      `Tel: ${lead.phone}`,
+      `Mensaje: ${incoming}`,
+      ...handoffMediaLines(lead),
+      `Snapshot: ${path.basename(snapshotPath)}`,
+      `Ref: #${lead.ref} — respondé "#${lead.ref} tu mensaje" para escribirle al cliente`,
+    ];
+
+    const msg = await notifyAdvisor(lead, lines);
+    trackAdvisorMessage(lead, msg);
+  }
+
+  await sendAdvisorBrief(lead, advisor);
+}
+
+// The brief goes as a second message: the handoff never waits on another AI call
+async function sendAdvisorBrief(lead, advisor) {
+  lead.brief = await generateBrief(lead);
+  if (!lead.brief) return;
+  persistLead(lead);
+  upsertConversationFile(lead);
+  if (DEV_MODE || !advisor) return;
+
+  const msg = await notifyAdvisor(lead, [`📝 #${lead.ref} ${lead.name || "sin_nombre"}`, ...formatBrief(lead.brief)]);
+  trackAdvisorMessage(lead, msg);
+}
+
+// ======= Abuse protection =======
+function isMuted(lead) {
+  if (!lead?.muted) return false;
+  if (Date.parse(lead.muted.until) > Date.now()) return true;
+  lead.muted = null; // expired
+  persistLead(lead);
+  return false;
+}
+
+// Security alerts: ADMIN_ALERT_TO if set, otherwise the lead's (or default) advisor, even after hours
+async function alertAdmin(lead, lines) {
+  if (ADMIN_ALERT_TO) return sendWhatsApp(ADMIN_ALERT_TO, lines.join("\n"), { tenant: tenantOf(lead) });
+  return notifyAdvisor(lead, lines, { urgent: true });
+}
+
+async function muteLead(lead, reason) {
+  const until = new Date(Date.now() + ABUSE_MUTE_HOURS * 3600 * 1000);
+  lead.muted = { at: nowTs(), until: until.toISOString(), reason };
+  metric.muted.inc({ reason });
+  appendMessage(lead, "system", `MUTED: ${reason}, hasta ${lead.muted.until}`);
+  upsertConversationFile(lead);
+  await alertAdmin(lead, [
+    "⚠️ Número silenciado por abuso",
+    `Tel: ${lead.phone}${lead.name ? ` (${lead.name})` : ""}`,
+    `Motivo: ${reason}`,
+    `Hasta: ${new Date(until.getTime() + TZ_OFFSET_MIN * 60000).toISOString().slice(0, 16).replace("T", " ")}`,
+    `Reactivar: POST /admin/leads/${encodeURIComponent(lead.phone)}/unmute`,
+  ]);
+}
+
+// Over the per-number limit: counted, not recorded or processed (a flood must not rewrite the lead and
+// its transcript once per message). One notice an hour; a flood gets the number muted.
+async function handleRateLimited(lead, from, limit) {
+  webhookStats.rateLimited++;
+  metric.rateLimited.inc({ reason: "rate_limit" });
+  lead._dropped++;
+
+  if (!droppedLimiter.hit(lead.phone).allowed) {
+    await muteLead(lead, `flood (${ABUSE_DROPPED_PER_HOUR}+ mensajes descartados en 1 h)`);
+    return;
+  }
+  if (lead.rateLimitNoticeAt && Date.now() - Date.parse(lead.rateLimitNoticeAt) < 60 * 60 * 1000) return;
+  lead.rateLimitNoticeAt = nowTs();
+  appendMessage(lead, "system", `RATE_LIMITED: más de ${limit.max} mensajes en ${limit.windowMs / 60000} min`);
+  await botReply(lead, from, "Estoy recibiendo muchos mensajes seguidos 🙏 Dame unos minutos y seguimos por acá.");
+}
+
+// The first message recorded after a flood says how many were left out
+function noteDroppedInbound(lead) {
+  if (!lead._dropped) return;
+  appendMessage(lead, "system", `DROPPED: ${lead._dropped} mensaje(s) sin registrar (silenciado o sobre el límite)`);
+  lead._dropped = 0;
+}
+
+// Token/cost accounting from the Responses API usage block; resets with the local day
+function recordAiUsage(lead, model, usage) {
+  if (!usage) return;
+  const input = usage.input_tokens || 0;
+  const output = usage.output_tokens || 0;
+  metric.aiTokens.inc({ model, kind: "input" }, input);
+  metric.aiTokens.inc({ model, kind: "output" }, output);
+  if (!lead) return;
+
+  const day = metrics.today();
+  const prev = lead.aiUsage?.day === day ? lead.aiUsage : { day, calls: 0, tokens: 0, usd: 0, budgetHitAt: null };
+  lead.aiUsage = {
+    ...prev,
+    calls: prev.calls + 1,
+    tokens: prev.tokens + input + output,
+    usd: prev.usd + aiCostUsd(AI_PRICES, model, usage),
+  };
+  persistLead(lead);
+}
+
+function overDailyBudget(lead) {
+  const u = lead.aiUsage;
+  if (!u || u.day !== metrics.today()) return false;
+  return (
+    (AI_LEAD_DAILY_TOKENS > 0 && u.tokens >= AI_LEAD_DAILY_TOKENS) ||
+    (AI_LEAD_DAILY_USD > 0 && u.usd >= AI_LEAD_DAILY_USD)
+  );
+}
+
+// Why this turn must not reach the AI ("budget" | "global_rate"), or "" if it may
+async function aiBlockedReason(lead) {
+  if (overDailyBudget(lead)) {
+    if (!lead.aiUsage.budgetHitAt) {
+      lead.aiUsage.budgetHitAt = nowTs();
+      await alertAdmin(lead, [
+        "⚠️ Lead sin presupuesto de IA por hoy",
+        `Tel: ${lead.phone}${lead.name ? ` (${lead.name})` : ""}`,
+        `Uso: ${lead.aiUsage.tokens} tokens / US$ ${lead.aiUsage.usd.toFixed(4)} en ${lead.aiUsage.calls} llamadas`,
+        "Sigue con respuestas automáticas hasta mañana.",
+      ]);
+    }
+    return "budget";
+  }
+  return aiTurnLimiter.hit("ai").allowed ? "" : "global_rate";
+}
+
+// ======= Main processing (async after FAST_ACK) =======
+// No AI for this turn (blocked): the rules backend's decision, applied like any other
+async function fallbackTurn({ lead, incoming, from }) {
+  recordAiProvider(lead, "rules", "");
+  await applyDecision({ lead, incoming, from, out: ruleDecision({ lead, incoming }) });
+}
+
+// Queues the turn once the customer pauses (INBOUND_DEBOUNCE_MS), or right away with debounce off
+function scheduleTurn(lead, from) {
+  if (INBOUND_DEBOUNCE_MS <= 0) return enqueueLead(lead, () => processPending(lead, from));
+
+  const since = lead._debounce?.since || Date.now();
+  clearTimeout(lead._debounce?.timer);
+  const wait = Math.max(0, Math.min(INBOUND_DEBOUNCE_MS, since + INBOUND_DEBOUNCE_MAX_MS - Date.now()));
+  const timer = setTimeout(() => {
+    lead._debounce = null;
+    enqueueLead(lead, () => processPending(lead, from));
+  }, wait);
+  lead._debounce = { since, timer };
+}
+
+// In a burst, BAJA/ALTA and slot picks are checked message by message: joined, "ok\nBAJA" or "1\ngracias"
+// match nothing. Runs them on their own and returns what's left for the merged turn (null after a BAJA)
+async function runBatchCommands(lead, from, batch) {
+  const context = { lastBotText: lastBotText(lead) };
+  const command = (cmd) => batch.find((b) => detectConsentCommand(b.incoming, context) === cmd);
+  const consentItem = command("opt_out") || command("opt_in");
+  if (consentItem && (await handleConsentTurn({ lead, incoming: consentItem.incoming, from }))) {
+    if (consent.isOptedOut(lead.phone)) return null;
+    batch = batch.filter((b) => b !== consentItem);
+  }
+
+  // An opted-out number books nothing: processInbound records the rest silently
+  if (lead.visitOffer && !lead.botPaused && !lead.closed && !consent.isOptedOut(lead.phone)) {
+    const { pickSlotFromReply } = schedulerFor(tenantOf(lead));
+    const pick = batch.find((b) => pickSlotFromReply(b.incoming, lead.visitOffer.slots));
+    if (pick) {
+      await handleSchedulingTurn({ lead, incoming: pick.incoming, from });
+      batch = batch.filter((b) => b !== pick);
+    }
+  }
+  return batch;
+}
+
+// Drains everything queued for the lead since the last turn: a burst becomes one AI call
+async function processPending(lead, from) {
+  let batch = lead._inbox.splice(0);
+  if (!batch.length) return; // an earlier task already took these
+  if (batch.length > 1) {
+    appendMessage(lead, "system", `COALESCED: ${batch.length} mensajes en un solo turno`);
+    batch = await runBatchCommands(lead, from, batch);
+  }
+  if (batch?.length) {
+    await processInbound({
+      incoming: batch.map((b) => b.incoming).filter(Boolean).join("\n"),
+      from,
+      lead,
+      media: batch.flatMap((b) => b.media),
+      location: batch.map((b) => b.location).filter(Boolean).pop() || null,
+    });
+  }
+  await maybeUpdateSummary(lead);
+}
+
+async function processInbound({ incoming, from, lead, media = [], location = null }) {
+  // Voice notes -> text, then the AI sees one text with media/location annotations
+  if (media.some((m) => m.kind === "audio")) await transcribeInboundAudio(lead, media);
+  if (media.length || location) incoming = describeForAI({ text: incoming, media, location });
+
+  // BAJA/ALTA first: an opted-out number gets no bot, relay or scheduling traffic
+  if (await handleConsentTurn({ lead, incoming, from })) return;
+
+  // Paused by an operator: keep recording, don't answer
+  if (lead.botPaused) {
+    appendMessage(lead, "system", "BOT_PAUSED: mensaje registrado sin respuesta");
+    upsertConversationFile(lead);
+    return;
+  }
+
+  // Closed (admin or the advisor's "cerrar"): same, until someone reopens it
+  if (lead.closed) {
+    appendMessage(lead, "system", "CLOSED: mensaje registrado sin respuesta");
+    upsertConversationFile(lead);
+    return;
+  }
+
+  // Slot picks and cancel/reschedule of a booked visit don't need the AI
+  if (await handleSchedulingTurn({ lead, incoming, from })) return;
+
+  // If already handed off: relay to the advisor, pick up corrections, otherwise acknowledge
   if (lead.handedOff) {
+    if (lead.relay?.active) {
+      await relayToAdvisor(lead, incoming, media);
+      await handlePostHandoffCorrection({ lead, incoming, from, silent: true });
+      return;
+    }
+    if (await handlePostHandoffCorrection({ lead, incoming, from })) return;
+
     const reply = `¡Gracias${lead.name ? `, ${lead.name}` : ""}! Ya se lo pasé al asesor 🙌`;
     appendMessage(lead, "bot", reply);
     upsertConversationFile(lead);
-    await sendWhatsApp(from, reply);
+    await sendWhatsApp(from, reply, { tenant: tenantOf(lead) });
     return;
   }
 
-  // AI decide (main + retry)
+  // Abuse guards: a lead over today's budget, or too many AI turns overall -> canned reply, no AI call
+  const blocked = await aiBlockedReason(lead);
+  if (blocked) {
+    metric.aiSkipped.inc({ reason: blocked });
+    appendMessage(lead, "system", `AI_SKIPPED: ${blocked}`);
+    await fallbackTurn({ lead, incoming, from });
+    return;
+  }
+
+  // AI decide (main + retry), with the tenant's models; the rules backend answers when both fail
+  const tenant = tenantOf(lead);
   let out = null;
   const startedAt = Date.now();
+  const fast = { incoming, lead, model: tenant.models.fast, timeoutMs: AI_TIMEOUT_MAIN, useRules: false };
 
   try {
-    out = await withTimeout(aiDecideAndReply({ incoming, lead, model: MODEL_FAST }), AI_TIMEOUT_MAIN);
+    out = await timedDecision(fast);
   } catch (e1) {
     console.error("aiDecideAndReply main error:", e1?.message || e1);
 
-    await sleep(AI_BACKOFF_MS);
+    // Every circuit open: nothing to wait for, straight to whatever still answers
+    if (e1?.message !== "circuit_open") {
+      await sleep(AI_BACKOFF_MS);
+      metric.aiRetries.inc();
+    }
     try {
-      out = await withTimeout(aiDecideAndReply({ incoming, lead, model: MODEL_SMART }), AI_TIMEOUT_RETRY);
+      out = await timedDecision({ incoming, lead, model: tenant.models.smart, timeoutMs: AI_TIMEOUT_RETRY });
     } catch (e2) {
+      // The retry's model answered but its output was unusable (ai_output_not_json / ai_output_invalid:
+      // llm.respond only falls through on errors, so rules never ran), or the rules answer itself broke.
+      // Either way the rules decision below is what the customer gets
       console.error("aiDecideAndReply retry error:", e2?.message || e2);
-    
-      // Marcar pending si detectamos visit/price por texto o estado previo
-      const inferred = inferHandoffIntentFromText(lead, incoming);
-      if (inferred === "visit" || inferred === "price") {
-        lead.pendingHandoff = { type: inferred, requestedAt: nowTs() };
-        upsertConversationFile(lead);
-      }
-    
-      const fb = timeoutFallbackReply(lead, incoming);
-      appendMessage(lead, "bot", fb);
-      upsertConversationFile(lead);
-      await sendWhatsApp(from, fb);
-    
-      // Si ya está todo listo, ejecutamos handoff igual aunque el AI haya fallado
-      if (inferred === "visit") {
-        const readyVisit = Boolean(lead.intentSummary && lead.name && lead.zone && lead.availability);
-        if (readyVisit) await doHandoff({ lead, incoming, reasonTag: "visit" });
-      } else if (inferred === "price") {
-        const readyPrice = Boolean(lead.intentSummary && lead.name && lead.zone);
-        if (readyPrice) await doHandoff({ lead, incoming, reasonTag: "price" });
-      }
-    
+      await fallbackTurn({ lead, incoming, from });
       return;
     }
   } finally {
     console.log("AI latency ms:", Date.now() - startedAt);
   }
 
+  await applyDecision({ lead, incoming, from, out });
+}
+
+// Acts on a decision (AI or rules): state updates, opt-out, slots, handoff or a plain reply
+async function applyDecision({ lead, incoming, from, out }) {
+  const tenant = tenantOf(lead);
+
   // Apply state updates
   applyStateFromAI(lead, out);
   upsertConversationFile(lead);
 
-  const reply = out.reply || "Hola 👋 Soy Caia, asistente de Cortinas Argentinas. ¿En qué te puedo ayudar?";
+  // Unsubscribe intent the keywords didn't catch ("ya no me interesa, no me manden nada")
+  if (out.opt_out) {
+    await optOutLead({ lead, from, source: "ai", text: incoming });
+    return;
+  }
+
+  const reply = out.reply || `Hola 👋 Soy ${tenant.botName}, asistente de ${tenant.brand}. ¿En qué te puedo ayudar?`;
 
   // Detect explicit handoff request from AI
+  const flow = flowOf(lead);
   const handoffIntent = out.handoff_intent;
-  const wantsHandoff = handoffIntent === "price" || handoffIntent === "visit";
+  const wantsHandoff = flow.isHandoff(handoffIntent);
+
+  // Visit with the basics: offer real slots; the handoff happens once one is booked
+  if (wantsSlots(lead, handoffIntent)) {
+    if (!lead.pendingHandoff) setPendingHandoff(lead, handoffIntent);
+    persistLead(lead);
+    if (await offerVisitSlots(lead, from)) return;
+  }
 
   if (wantsHandoff) {
-    const ready =
-      handoffIntent === "visit"
-        ? Boolean(lead.intentSummary && lead.name && lead.zone && lead.availability)
-        : Boolean(lead.intentSummary && lead.name && lead.zone);
+    const ready = flow.isReady(lead, handoffIntent);
 
-    const msg = out.reply || "Perfecto 🙂";
+    const msg = promiseNextOpening(out.reply || "Perfecto 🙂");
     appendMessage(lead, "bot", msg);
     upsertConversationFile(lead);
-    await sendWhatsApp(from, msg);
+    await sendWhatsApp(from, msg, { tenant: tenantOf(lead) });
+
+    if (flow.handoff(handoffIntent).estimate) await maybeSendEstimate(lead, from);
 
     if (ready) {
       await doHandoff({ lead, incoming, reasonTag: handoffIntent });
     } else {
-      lead.pendingHandoff = { type: handoffIntent, requestedAt: nowTs() };
+      setPendingHandoff(lead, handoffIntent);
+      persistLead(lead);
       upsertConversationFile(lead);
     }
     return;
@@ -585,7 +2521,7 @@ async function processInbound({ incoming, from, lead }) {
   // Normal reply
   appendMessage(lead, "bot", reply);
   upsertConversationFile(lead);
-  await sendWhatsApp(from, reply);
+  await sendWhatsApp(from, reply, { tenant: tenantOf(lead) });
 }
 
 // ======= Webhook =======
@@ -594,24 +2530,83 @@ app.post("/whatsapp", (req, res) => {
     at: new Date().toISOString(),
     from: req.body.From,
     body: req.body.Body,
+    sid: req.body.MessageSid,
   });
 
+  if (!isValidTwilioSignature(req)) {
+    webhookStats.rejectedSignature++;
+    metric.webhookRejected.inc({ reason: "signature" });
+    console.warn("INBOUND rejected: invalid X-Twilio-Signature", {
+      from: req.body.From,
+      sid: req.body.MessageSid,
+      rejected: webhookStats.rejectedSignature,
+    });
+    return res.status(403).send("Forbidden");
+  }
+
+  const sid = String(req.body.MessageSid || "");
+  if (sidDedupe.checkAndRemember(sid)) {
+    webhookStats.duplicates++;
+    metric.webhookRejected.inc({ reason: "duplicate" });
+    console.warn("INBOUND duplicate ignored", { sid, duplicates: webhookStats.duplicates });
+    // 200 so Twilio stops retrying
+    return res.status(200).send("OK");
+  }
+  webhookStats.accepted++;
+
   const incoming = String(req.body.Body || "").trim();
   const from = req.body.From || "";
   const phone = normalizePhone(from);
+  const tenant = tenants.resolve(req.body.To); // which of our numbers they wrote to
+
+  const media = parseInboundMedia(req.body);
+  const location = parseInboundLocation(req.body);
+
+  // Messages from the advisor number are relay traffic/commands, never a lead
+  if (isAdvisorNumber(from, tenant)) {
+    metric.inbound.inc({ from: "advisor", tenant: tenant.id });
+    res.status(200).send("OK");
+    enqueueAdvisor(() =>
+      handleAdvisorMessage({ from, text: incoming, repliedSid: req.body.OriginalRepliedMessageSid, media, tenant })
+    );
+    return;
+  }
+
+  metric.inbound.inc({ from: "lead", tenant: tenant.id });
+  const lead = getLead(phone, tenant);
+
+  // Muted for abuse: counted only, nothing is written
+  if (isMuted(lead)) {
+    webhookStats.muted++;
+    metric.rateLimited.inc({ reason: "muted" });
+    lead._dropped++;
+    return res.status(200).send("OK");
+  }
+
+  const limited = inboundLimiter.hit(phone);
+  if (!limited.allowed) {
+    res.status(200).send("OK");
+    enqueueLead(lead, () => handleRateLimited(lead, from, limited.limit));
+    return;
+  }
 
-  const lead = getLead(phone);
-  appendMessage(lead, "lead", incoming);
+  noteDroppedInbound(lead);
+  appendMessage(lead, "lead", incoming, {
+    ...(sid ? { sid } : {}),
+    ...(media.length ? { media } : {}),
+    ...(location ? { location } : {}),
+  });
+  if (media.length || location) recordInboundMedia(lead, { sid, media, location });
+  noteFollowupReply(lead);
   upsertConversationFile(lead);
 
   // FAST_ACK to Twilio
   if (FAST_ACK) {
     res.status(200).send("OK");
 
-    // Queue per lead (prevents overlap)
-    enqueueLead(lead, async () => {
-      await processInbound({ incoming, from, lead });
-    });
+    // Queue per lead (prevents overlap); a burst, or messages that pile up while it's busy, go as one turn
+    lead._inbox.push({ incoming, media, location });
+    scheduleTurn(lead, from);
 
     return;
   }
@@ -619,7 +2614,7 @@ app.post("/whatsapp", (req, res) => {
   // Non-FAST_ACK (not recommended)
   (async () => {
     try {
-      await processInbound({ incoming, from, lead });
+      await processInbound({ incoming, from, lead, media, location });
     } catch (e) {
       console.error("sync processInbound error:", e?.message || e);
     } finally {
@@ -629,12 +2624,44 @@ app.post("/whatsapp", (req, res) => {
 });
 
 // ======= Listen =======
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`Webhook listo en puerto ${PORT}`);
-  console.log("DEV_MODE =", DEV_MODE);
-  console.log("FAST_ACK =", FAST_ACK);
-  console.log("MODEL_FAST =", MODEL_FAST);
-  console.log("MODEL_SMART =", MODEL_SMART);
-  console.log("DEBUG_TOKEN set =", Boolean(DEBUG_TOKEN));
-});
\ No newline at end of file
+// Only when run directly: the test harness requires this file without a port or timers
+// Pending lead and seen-sid writes go out now (shutdown; the harness before a simulated restart)
+const flushState = () => Promise.all([leadStore.flush(), sidDedupe.flush()]);
+
+// Deploys send SIGTERM: nothing written behind is lost
+async function shutdown() {
+  await flushState();
+  process.exit(0);
+}
+
+function start(port = process.env.PORT || 3000) {
+  const loadedCount = loadLeadsFromStore();
+  seedSidDedupe();
+  for (const lead of Object.values(leads)) upsertConversationFile(lead);
+
+  if (FOLLOWUP_ENABLED) setInterval(runFollowupSweep, FOLLOWUP_INTERVAL_MS).unref();
+  setInterval(() => metrics.save(), METRICS_SAVE_INTERVAL_MS).unref();
+  if (AFTER_HOURS_ENABLED) setInterval(runDigestSweep, DIGEST_INTERVAL_MS).unref();
+  // Outbox left over from the last run, then whatever comes due
+  if (events.enabled()) {
+    events.flush().catch((e) => console.error("outbox flush error:", e?.message || e));
+    setInterval(() => events.flush().catch(() => {}), EVENT_FLUSH_INTERVAL_MS).unref();
+  }
+  for (const signal of ["SIGTERM", "SIGINT"]) process.once(signal, shutdown);
+
+  return app.listen(port, () => {
+    console.log(`Webhook listo en puerto ${port}`);
+    console.log("DEV_MODE =", DEV_MODE);
+    console.log("FAST_ACK =", FAST_ACK);
+    console.log("MODEL_FAST =", MODEL_FAST);
+    console.log("MODEL_SMART =", MODEL_SMART);
+    console.log("DEBUG_TOKEN set =", Boolean(DEBUG_TOKEN));
+    console.log("TWILIO_VALIDATE_SIGNATURE =", TWILIO_VALIDATE_SIGNATURE);
+    console.log("FOLLOWUP_ENABLED =", FOLLOWUP_ENABLED, FOLLOWUP_ENABLED ? `(delays ${FOLLOWUP_DELAYS_MIN} min)` : "");
+    console.log(`LEAD_STORE = ${leadStore.backend} (${loadedCount} leads rehydrated)`);
+  });
+}
+
+if (require.main === module) start();
+
+module.exports = { app, start, leads, getLead, setClients, flushState };
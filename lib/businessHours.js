@@ -0,0 +1,141 @@
+// lib/businessHours.js — when we're open (weekly hours, national holidays, our own closures)
+// - Calendar file (config/business-calendar.json):
+//   { weekly: { "1": ["08:00", "17:00"], "6": null, ... },
+//     holidays: [{ date, name }], closures: [{ from, to, name }] }
+// - Same fixed UTC offset as scheduling (Argentina has no DST)
+// - Re-read when the file changes; without a file, defaults to hours/days from config
+
+const fs = require("fs");
+
+const DAY_NAMES = ["domingo", "lunes", "martes", "miércoles", "jueves", "viernes", "sábado"];
+const DAY_SHORT = ["dom", "lun", "mar", "mié", "jue", "vie", "sáb"];
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// "08:30" -> 510
+function toMinutes(hhmm) {
+  const [h, m] = String(hhmm).split(":").map(Number);
+  return h * 60 + (m || 0);
+}
+
+// 510 -> "8:30", 480 -> "8"
+function hourLabel(min) {
+  const h = Math.floor(min / 60);
+  const m = min % 60;
+  return m ? `${h}:${pad(m)}` : String(h);
+}
+
+function createBusinessCalendar({
+  file,
+  tzOffsetMin = -180,
+  hours = { start: 8, end: 17 },
+  days = [1, 2, 3, 4, 5],
+} = {}) {
+  let cached = null;
+  let mtime = 0;
+
+  const defaults = {
+    weekly: Object.fromEntries(
+      [0, 1, 2, 3, 4, 5, 6].map((d) => [d, days.includes(d) ? [`${hours.start}:00`, `${hours.end}:00`] : null])
+    ),
+    holidays: [],
+    closures: [],
+  };
+
+  function load() {
+    if (!file || !fs.existsSync(file)) return defaults;
+    const m = fs.statSync(file).mtimeMs;
+    if (cached && m === mtime) return cached;
+    try {
+      cached = { ...defaults, ...JSON.parse(fs.readFileSync(file, "utf8")) };
+      mtime = m;
+    } catch (e) {
+      console.error("business calendar: failed to load", file, e?.message || e);
+    }
+    return cached || defaults;
+  }
+
+  const local = (ms) => new Date(ms + tzOffsetMin * 60000);
+  const dateKey = (d) => `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())}`;
+
+  // Holiday or closure name for a local date ("2026-12-25"), or null
+  function closedReason(key) {
+    const cal = load();
+    const holiday = (cal.holidays || []).find((h) => h.date === key);
+    if (holiday) return holiday.name || "feriado";
+    const closure = (cal.closures || []).find((c) => key >= c.from && key <= (c.to || c.from));
+    return closure ? closure.name || "cerrado" : null;
+  }
+
+  // Opening window for a local date, in minutes from midnight, or null if closed all day
+  function windowFor(d) {
+    if (closedReason(dateKey(d))) return null;
+    const w = load().weekly?.[d.getUTCDay()];
+    return w ? { start: toMinutes(w[0]), end: toMinutes(w[1]) } : null;
+  }
+
+  function isOpen(now = Date.now()) {
+    const d = local(now);
+    const w = windowFor(d);
+    const min = d.getUTCHours() * 60 + d.getUTCMinutes();
+    return Boolean(w) && min >= w.start && min < w.end;
+  }
+
+  // Next opening after now (now itself if we're open) -> { at (ms), daysAhead, startMin } | null
+  function nextOpening(now = Date.now()) {
+    const today = local(now);
+    const nowMin = today.getUTCHours() * 60 + today.getUTCMinutes();
+    for (let i = 0; i <= 60; i++) {
+      const d = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate() + i));
+      const w = windowFor(d);
+      if (!w) continue;
+      if (i === 0 && nowMin >= w.end) continue;
+      const startMin = i === 0 ? Math.max(w.start, nowMin) : w.start;
+      const at = d.getTime() + startMin * 60000 - tzOffsetMin * 60000;
+      return { at, daysAhead: i, startMin, date: d };
+    }
+    return null;
+  }
+
+  // "hoy a partir de las 8", "mañana a partir de las 8", "el lunes a partir de las 8",
+  // "el lunes 23/11 a partir de las 8" (more than a week away)
+  function describeNextOpening(now = Date.now()) {
+    const next = nextOpening(now);
+    if (!next) return "apenas volvamos a abrir";
+    const at = `a partir de las ${hourLabel(next.startMin)}`;
+    if (next.daysAhead === 0) return `hoy ${at}`;
+    if (next.daysAhead === 1) return `mañana ${at}`;
+    const day = DAY_NAMES[next.date.getUTCDay()];
+    if (next.daysAhead < 7) return `el ${day} ${at}`;
+    return `el ${day} ${pad(next.date.getUTCDate())}/${pad(next.date.getUTCMonth() + 1)} ${at}`;
+  }
+
+  // "lun a vie 8 a 17" (for the prompt facts)
+  function describeWeekly() {
+    const weekly = load().weekly || {};
+    const groups = [];
+    for (const d of [1, 2, 3, 4, 5, 6, 0]) {
+      const w = weekly[d];
+      const label = w ? `${hourLabel(toMinutes(w[0]))} a ${hourLabel(toMinutes(w[1]))}` : null;
+      const last = groups[groups.length - 1];
+      if (label && last?.label === label && last.to === (d + 6) % 7) last.to = d;
+      else if (label) groups.push({ from: d, to: d, label });
+    }
+    if (!groups.length) return "cerrado";
+    return groups
+      .map((g) => `${DAY_SHORT[g.from]}${g.to !== g.from ? ` a ${DAY_SHORT[g.to]}` : ""} ${g.label}`)
+      .join(", ");
+  }
+
+  return {
+    isOpen,
+    nextOpening,
+    describeNextOpening,
+    describeWeekly,
+    closedReason,
+    isClosedDate: (key) => Boolean(closedReason(key)),
+    todayClosedReason: (now = Date.now()) => closedReason(dateKey(local(now))),
+  };
+}
+
+module.exports = { createBusinessCalendar };
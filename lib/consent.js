@@ -0,0 +1,105 @@
+// lib/consent.js — per-contact consent registry (opt-out / opt-in)
+// Kept apart from the lead store on purpose: resetting or wiping a lead must never
+// forget that the number asked us to stop writing.
+
+const fs = require("fs");
+const path = require("path");
+const { normalizeText } = require("./text");
+
+// Whole-message keywords ("BAJA", "stop") and phrases anywhere in the message (unless negated)
+const OPT_OUT_KEYWORDS = ["baja", "stop", "unsubscribe", "desuscribir", "desuscribirme"];
+const OPT_OUT_PHRASES = [
+  "no me escriban mas",
+  "no me escriban",
+  "no me escribas mas",
+  "dejen de escribirme",
+  "deja de escribirme",
+  "no quiero recibir mas mensajes",
+  "no quiero recibir mensajes",
+  "no quiero volver a recibir",
+  "no me manden mas",
+  "darme de baja",
+  "dame de baja",
+  "denme de baja",
+];
+// Opt-in is stricter: whole-message keywords, or phrases the message starts with
+const OPT_IN_KEYWORDS = ["alta", "start", "suscribir", "suscribirme"];
+const OPT_IN_PHRASES = ["darme de alta", "dame de alta", "quiero volver a recibir"];
+const NEGATIONS = ["no", "nunca", "ni"];
+
+// Phrase present and not negated by one of the two words before it ("no quiero darme de baja")
+function hasPhrase(t, phrase) {
+  let i = t.indexOf(phrase);
+  while (i !== -1) {
+    const before = t.slice(0, i).split(" ").filter(Boolean).slice(-2);
+    if (!before.some((w) => NEGATIONS.includes(w))) return true;
+    i = t.indexOf(phrase, i + 1);
+  }
+  return false;
+}
+
+const startsWithPhrase = (t, phrase) => t === phrase || t.startsWith(`${phrase} `);
+
+const words = (s) => normalizeText(s).replace(/[^\w\s]/g, " ").split(/\s+/).filter(Boolean);
+
+// A bare keyword our last message offered as an option ("¿la tela, de alta o baja densidad?") is the answer
+// to that, not a command: there only the all-caps form ("BAJA") counts
+function answersOurQuestion(text, keyword, lastBotText) {
+  if (!words(lastBotText).includes(keyword)) return false;
+  return String(text).replace(/[^A-Za-z]/g, "") !== keyword.toUpperCase();
+}
+
+// -> "opt_out" | "opt_in" | null. Opt-out is checked first: when in doubt, stop writing.
+// lastBotText: what the bot said last, so "baja" answering its own question isn't taken as a BAJA
+function detectConsentCommand(text, { lastBotText = "" } = {}) {
+  const t = normalizeText(text).replace(/[^\w\s]/g, "").replace(/\s+/g, " ").trim();
+  if (!t) return null;
+  const keyword = (list) => list.includes(t) && !answersOurQuestion(text, t, lastBotText);
+  if (keyword(OPT_OUT_KEYWORDS) || OPT_OUT_PHRASES.some((p) => hasPhrase(t, p))) return "opt_out";
+  if (keyword(OPT_IN_KEYWORDS) || OPT_IN_PHRASES.some((p) => startsWithPhrase(t, p))) return "opt_in";
+  return null;
+}
+
+function createConsentRegistry({ file }) {
+  let data = Object.create(null); // phone -> { status, changedAt, source, history: [...] }
+
+  if (fs.existsSync(file)) {
+    try {
+      Object.assign(data, JSON.parse(fs.readFileSync(file, "utf8")));
+    } catch (e) {
+      console.error("consent registry unreadable, starting empty:", e?.message || e);
+    }
+  }
+
+  function save() {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2), "utf8");
+    fs.renameSync(tmp, file);
+  }
+
+  const key = (phone) => String(phone || "").replace("+", "");
+
+  return {
+    get: (phone) => data[key(phone)] || null,
+    isOptedOut: (phone) => data[key(phone)]?.status === "opted_out",
+
+    set(phone, status, { source = "customer", text = "" } = {}) {
+      const k = key(phone);
+      const changedAt = new Date().toISOString();
+      const prev = data[k];
+      data[k] = {
+        status,
+        changedAt,
+        source,
+        history: [...(prev?.history || []), { status, changedAt, source, text: String(text).slice(0, 200) }],
+      };
+      save();
+      return data[k];
+    },
+
+    all: () => ({ ...data }),
+  };
+}
+
+module.exports = { createConsentRegistry, detectConsentCommand };
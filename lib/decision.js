@@ -0,0 +1,204 @@
+// lib/decision.js — AI decision contract
+// - DECISION_SCHEMA is sent to the Responses API (structured outputs, strict)
+// - parseDecision() validates locally and repairs field by field, so one bad field
+//   doesn't throw away a usable reply (and doesn't burn the retry on MODEL_SMART)
+// - Lead fields and handoff intents come from the qualification flow (lib/qualification);
+//   the exported DECISION_SCHEMA/DECISION_TEXT_FORMAT are the built-in flow's
+
+const { normalizeText } = require("./text");
+const { MOUNT_TYPES, MOTORIZED, normalizeQuoteItem } = require("./quote");
+
+const HANDOFF_INTENTS = ["none", "price", "visit"];
+const LEAD_FIELDS = ["name", "zone", "intentSummary", "availability"];
+
+function buildDecisionSchema({ fields = LEAD_FIELDS, intents = HANDOFF_INTENTS } = {}) {
+  return {
+    type: "object",
+    additionalProperties: false,
+    required: ["reply", ...fields, "handoff_intent", "corrections", "opt_out", "quoteItems"],
+    properties: {
+      reply: { type: "string", description: "Mensaje para el cliente" },
+      ...Object.fromEntries(fields.map((f) => [f, { type: "string" }])),
+      handoff_intent: { type: "string", enum: intents },
+      // Everything to quote so far (full list every turn; 0/""/"unknown" = not said yet)
+      quoteItems: {
+        type: "array",
+        items: {
+          type: "object",
+          additionalProperties: false,
+          required: ["room", "product", "fabric", "width_m", "height_m", "quantity", "mount", "motorized"],
+          properties: {
+            room: { type: "string", description: "Ambiente (living, dormitorio...)" },
+            product: { type: "string" },
+            fabric: { type: "string" },
+            width_m: { type: "number" },
+            height_m: { type: "number" },
+            quantity: { type: "integer" },
+            mount: { type: "string", enum: MOUNT_TYPES, description: "Dentro (inside) o fuera (outside) del vano" },
+            motorized: { type: "string", enum: MOTORIZED },
+          },
+        },
+      },
+      opt_out: { type: "boolean", description: "El cliente pide no recibir más mensajes" },
+      // Changes to fields that already have a value ("en realidad estoy en Funes")
+      corrections: {
+        type: "array",
+        items: {
+          type: "object",
+          additionalProperties: false,
+          required: ["field", "value", "explicit", "confidence"],
+          properties: {
+            field: { type: "string", enum: fields },
+            value: { type: "string" },
+            explicit: { type: "boolean", description: "El cliente dijo explícitamente que corrige el dato" },
+            confidence: { type: "number", description: "0 a 1" },
+          },
+        },
+      },
+    },
+  };
+}
+
+// Responses API `text` param
+function decisionTextFormat(opts) {
+  return { format: { type: "json_schema", name: "caia_decision", schema: buildDecisionSchema(opts), strict: true } };
+}
+
+const DECISION_SCHEMA = buildDecisionSchema();
+const DECISION_TEXT_FORMAT = decisionTextFormat();
+
+const INTENT_ALIASES = {
+  precio: "price",
+  presupuesto: "price",
+  cotizacion: "price",
+  quote: "price",
+  visita: "visit",
+  medicion: "visit",
+  agendar: "visit",
+  "": "none",
+  ninguno: "none",
+};
+
+function tryJson(text) {
+  try {
+    const v = JSON.parse(text);
+    return v && typeof v === "object" && !Array.isArray(v) ? v : null;
+  } catch {
+    return null;
+  }
+}
+
+// Last resort for truncated/garbled JSON: pull each "field": "value" pair by regex
+function extractFields(text, stringFields) {
+  const out = {};
+  for (const key of [...stringFields, "handoff_intent"]) {
+    const m = String(text).match(new RegExp(`"${key}"\\s*:\\s*"((?:[^"\\\\]|\\\\.)*)"`));
+    if (m) {
+      try {
+        out[key] = JSON.parse(`"${m[1]}"`);
+      } catch {
+        out[key] = m[1];
+      }
+    }
+  }
+  return Object.keys(out).length ? out : null;
+}
+
+// Returns { decision, errors, fatal }. fatal = no usable reply could be recovered.
+// fields/intents: the flow's lead fields and ["none", ...handoff types]
+function parseDecision(rawText, { fields = LEAD_FIELDS, intents = HANDOFF_INTENTS } = {}) {
+  const text = String(rawText || "").trim();
+  const errors = [];
+  const stringFields = ["reply", ...fields];
+
+  let parsed = tryJson(text);
+  if (!parsed) {
+    const start = text.indexOf("{");
+    const end = text.lastIndexOf("}");
+    if (start >= 0 && end > start) parsed = tryJson(text.slice(start, end + 1));
+    if (parsed) errors.push("json_wrapped_in_text");
+  }
+  if (!parsed) {
+    parsed = extractFields(text, stringFields);
+    if (parsed) errors.push("json_invalid_fields_extracted");
+  }
+  if (!parsed) {
+    return { decision: null, errors: ["ai_output_not_json"], fatal: true };
+  }
+
+  const decision = {};
+  for (const key of stringFields) {
+    const v = parsed[key];
+    if (typeof v === "string") decision[key] = v.trim();
+    else {
+      if (v !== undefined && v !== null) errors.push(`${key}_not_string`);
+      else errors.push(`${key}_missing`);
+      decision[key] = typeof v === "number" ? String(v) : "";
+    }
+  }
+
+  const rawIntent = parsed.handoff_intent;
+  if (intents.includes(rawIntent)) decision.handoff_intent = rawIntent;
+  else {
+    const norm = normalizeText(rawIntent ?? "");
+    const alias = INTENT_ALIASES[norm];
+    decision.handoff_intent = intents.includes(norm) ? norm : intents.includes(alias) ? alias : "none";
+    errors.push(rawIntent === undefined ? "handoff_intent_missing" : "handoff_intent_invalid");
+  }
+
+  if (typeof parsed.opt_out === "boolean") decision.opt_out = parsed.opt_out;
+  else {
+    decision.opt_out = false;
+    errors.push(parsed.opt_out === undefined ? "opt_out_missing" : "opt_out_not_boolean");
+  }
+
+  decision.corrections = [];
+  if (Array.isArray(parsed.corrections)) {
+    for (const c of parsed.corrections) {
+      const ok =
+        c &&
+        fields.includes(c.field) &&
+        typeof c.value === "string" &&
+        c.value.trim() &&
+        typeof c.explicit === "boolean";
+      if (!ok) {
+        errors.push("corrections_item_invalid");
+        continue;
+      }
+      const conf = Number(c.confidence);
+      decision.corrections.push({
+        field: c.field,
+        value: c.value.trim(),
+        explicit: c.explicit,
+        confidence: Number.isFinite(conf) ? Math.min(1, Math.max(0, conf)) : 0,
+      });
+    }
+  } else errors.push(parsed.corrections === undefined ? "corrections_missing" : "corrections_not_array");
+
+  decision.quoteItems = [];
+  if (Array.isArray(parsed.quoteItems)) {
+    for (const it of parsed.quoteItems) {
+      if (!it || typeof it !== "object") {
+        errors.push("quoteItems_item_invalid");
+        continue;
+      }
+      decision.quoteItems.push(normalizeQuoteItem(it));
+    }
+  } else errors.push(parsed.quoteItems === undefined ? "quoteItems_missing" : "quoteItems_not_array");
+
+  const known = ["reply", ...fields, "handoff_intent", "corrections", "opt_out", "quoteItems"];
+  const extra = Object.keys(parsed).filter((k) => !known.includes(k));
+  if (extra.length) errors.push(`extra_fields:${extra.join(",")}`);
+
+  return { decision, errors, fatal: !decision.reply };
+}
+
+module.exports = {
+  DECISION_SCHEMA,
+  DECISION_TEXT_FORMAT,
+  HANDOFF_INTENTS,
+  LEAD_FIELDS,
+  buildDecisionSchema,
+  decisionTextFormat,
+  parseDecision,
+};
@@ -0,0 +1,72 @@
+// lib/digest.js — advisor notifications held while we're closed, sent as one digest at opening
+// Persisted (atomic write) so a restart overnight doesn't lose them.
+
+const fs = require("fs");
+const path = require("path");
+
+// Twilio rejects WhatsApp bodies over 1600 chars
+const MAX_BODY = 1600;
+
+function createNotificationQueue({ file }) {
+  let items = []; // { to, text, ref, tenant, queuedAt }
+
+  if (fs.existsSync(file)) {
+    try {
+      items = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (e) {
+      console.error("notification queue unreadable, starting empty:", e?.message || e);
+    }
+  }
+
+  function save() {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(items, null, 2), "utf8");
+    fs.renameSync(tmp, file);
+  }
+
+  return {
+    add(to, text, { ref = "", tenant = "" } = {}) {
+      items.push({ to, text, ref, tenant, queuedAt: new Date().toISOString() });
+      save();
+    },
+    // Removes and returns everything queued, grouped by recipient: { [to]: [items] }
+    drain() {
+      const byTo = {};
+      for (const it of items) (byTo[it.to] = byTo[it.to] || []).push(it);
+      items = [];
+      save();
+      return byTo;
+    },
+    // Puts drained items back as they were (queuedAt kept), e.g. after a failed send
+    putBack(back) {
+      if (!back.length) return;
+      items.push(...back);
+      save();
+    },
+    size: () => items.length,
+    all: () => items.slice(),
+  };
+}
+
+// Items -> one or more messages under MAX_BODY: [{ body, items }] (an item is never split across messages,
+// and each message knows which items it carries, so a failed send re-queues only those)
+function buildDigest(items, { title }) {
+  const SEP = "\n\n— — —\n\n";
+  const chunks = [];
+  let current = { body: `${title} (${items.length})`, items: [] };
+  for (const it of items) {
+    const text = it.text.length > MAX_BODY - 100 ? `${it.text.slice(0, MAX_BODY - 101)}…` : it.text;
+    if (current.body.length + SEP.length + text.length > MAX_BODY) {
+      chunks.push(current);
+      current = { body: text, items: [it] };
+    } else {
+      current.body += SEP + text;
+      current.items.push(it);
+    }
+  }
+  chunks.push(current);
+  return chunks;
+}
+
+module.exports = { createNotificationQueue, buildDigest, MAX_BODY };
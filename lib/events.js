@@ -0,0 +1,125 @@
+// lib/events.js — lead lifecycle events -> outbound webhooks (CRM, sheets, Zapier...)
+// Events: lead.created, lead.field_captured, lead.pending_handoff, lead.handed_off
+// - emit() queues one delivery per webhook in a local outbox file, then tries to send right away
+// - Deliveries are POST JSON, signed: X-Caia-Signature = "sha256=" + HMAC-SHA256(secret, `${timestamp}.${body}`)
+// - Failures retry with exponential backoff (baseMs * 2^attempt) up to maxAttempts; then they stay
+//   in the outbox as "failed" for inspection (/debug/outbox) instead of disappearing
+// - The outbox survives restarts: flush() on boot and on an interval picks up what's due
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+function sign(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+}
+
+// webhooks: [{ url, secret }]
+function createEventBus({ outboxFile, webhooks = [], maxAttempts = 8, baseMs = 30000, timeoutMs = 10000 }) {
+  let outbox = []; // { id, url, event, attempts, nextAt, status: "pending"|"failed", lastError }
+  const stats = { emitted: 0, delivered: 0, retried: 0, failed: 0 };
+  let flushing = null;
+
+  if (outboxFile && fs.existsSync(outboxFile)) {
+    try {
+      outbox = JSON.parse(fs.readFileSync(outboxFile, "utf8"));
+    } catch (e) {
+      console.error("outbox unreadable, starting empty:", e?.message || e);
+    }
+  }
+
+  function save() {
+    if (!outboxFile) return;
+    fs.mkdirSync(path.dirname(outboxFile), { recursive: true });
+    const tmp = `${outboxFile}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(outbox, null, 2), "utf8");
+    fs.renameSync(tmp, outboxFile);
+  }
+
+  function emit(type, data) {
+    if (!webhooks.length) return null;
+
+    const event = { id: crypto.randomUUID(), type, ts: new Date().toISOString(), data };
+    stats.emitted++;
+    for (const hook of webhooks) {
+      outbox.push({ id: crypto.randomUUID(), url: hook.url, event, attempts: 0, nextAt: 0, status: "pending" });
+    }
+    save();
+    flush().catch((e) => console.error("outbox flush error:", e?.message || e));
+    return event;
+  }
+
+  async function deliver(item) {
+    const hook = webhooks.find((h) => h.url === item.url);
+    const body = JSON.stringify(item.event);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const headers = {
+      "Content-Type": "application/json",
+      "X-Caia-Event": item.event.type,
+      "X-Caia-Timestamp": timestamp,
+    };
+    if (hook?.secret) headers["X-Caia-Signature"] = sign(hook.secret, timestamp, body);
+
+    const r = await fetch(item.url, { method: "POST", headers, body, signal: AbortSignal.timeout(timeoutMs) });
+    if (!r.ok) throw new Error(`http_${r.status}`);
+  }
+
+  async function attempt(item) {
+    try {
+      await deliver(item);
+      outbox = outbox.filter((i) => i !== item);
+      stats.delivered++;
+    } catch (e) {
+      item.attempts++;
+      item.lastError = e?.message || String(e);
+      if (item.attempts >= maxAttempts) {
+        item.status = "failed";
+        stats.failed++;
+        console.error("webhook delivery failed for good", { url: item.url, type: item.event.type });
+      } else {
+        item.nextAt = Date.now() + baseMs * 2 ** (item.attempts - 1);
+        stats.retried++;
+      }
+    }
+    save();
+  }
+
+  // Sends everything due; concurrent callers share the running flush.
+  // Loops until nothing is due, so events emitted mid-flush ride along.
+  function flush(now = Date.now()) {
+    if (flushing) return flushing;
+    const due = () => outbox.filter((i) => i.status === "pending" && i.nextAt <= now);
+    flushing = (async () => {
+      let batch = due();
+      while (batch.length) {
+        for (const item of batch) await attempt(item);
+        batch = due();
+      }
+    })().finally(() => {
+      flushing = null;
+    });
+    return flushing;
+  }
+
+  return {
+    emit,
+    flush,
+    stats: () => ({ ...stats, pending: outbox.filter((i) => i.status === "pending").length }),
+    outbox: () => outbox.slice(),
+    enabled: () => webhooks.length > 0,
+  };
+}
+
+// "https://a|secret1,https://b" -> [{ url, secret }]; a default secret applies to entries without one
+function parseWebhookList(value, defaultSecret = "") {
+  return String(value || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [url, secret] = entry.split("|");
+      return { url, secret: secret || defaultSecret };
+    });
+}
+
+module.exports = { createEventBus, parseWebhookList, sign };
@@ -0,0 +1,48 @@
+// lib/export.js — flat lead records for CRM/spreadsheet import (/admin/leads.csv, /admin/leads.json)
+
+// The built-in lead fields; flows can add more (email, address...), which go right after them
+const LEAD_FIELD_COLUMNS = ["name", "zone", "intentSummary", "availability"];
+
+const LEAD_STATE_COLUMNS = [
+  "createdAt",
+  "lastMessageAt",
+  "messagesCount",
+  "status",
+  "pendingHandoffType",
+  "pendingHandoffAt",
+  "handedOffAt",
+  "handoffType",
+  "advisorId",
+  "advisorName",
+  "ref",
+  "appointment",
+  "appointmentStatus",
+  "quoteItems",
+  "lastEstimate",
+  "closedAt",
+  "consent",
+];
+
+// Header for a set of leads: flowFields = every field of the flows involved (duplicates are fine)
+function leadExportColumns(flowFields = []) {
+  return ["phone", "tenant", ...new Set([...LEAD_FIELD_COLUMNS, ...flowFields]), ...LEAD_STATE_COLUMNS];
+}
+
+const LEAD_EXPORT_COLUMNS = leadExportColumns();
+
+// RFC 4180: quote when needed, double the quotes; objects/arrays as JSON.
+// Text starting with = + - @ tab or CR gets a leading ' so spreadsheets don't run it as a formula
+// (OWASP CSV injection). Plain numbers ("+5493410000000", "-2") can't be formulas and stay as they are.
+function csvCell(v) {
+  if (v === null || v === undefined) return "";
+  let s = typeof v === "object" ? JSON.stringify(v) : String(v);
+  if (/^[=+\-@\t\r]/.test(s) && !/^[+-]?\d+(\.\d+)?$/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(rows, columns = LEAD_EXPORT_COLUMNS) {
+  const lines = [columns.join(","), ...rows.map((r) => columns.map((c) => csvCell(r[c])).join(","))];
+  return lines.join("\r\n") + "\r\n";
+}
+
+module.exports = { LEAD_EXPORT_COLUMNS, leadExportColumns, csvCell, toCsv };
@@ -0,0 +1,79 @@
+// lib/followups.js — re-engagement of stalled leads
+// A lead is stalled when the bot spoke last, the customer went quiet mid-qualification
+// (missing data, pending handoff or an open visit offer) and the next delay has elapsed.
+// WhatsApp rules: free text only inside the 24h session window; outside it, an approved template.
+
+const SESSION_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+function lastMessage(lead, pred) {
+  const msgs = lead.messages || [];
+  for (let i = msgs.length - 1; i >= 0; i--) if (pred(msgs[i])) return msgs[i];
+  return null;
+}
+
+const isConversational = (m) => m.from !== "system";
+
+function lastInboundAt(lead) {
+  const m = lastMessage(lead, (x) => x.from === "lead");
+  return m ? Date.parse(m.ts) : 0;
+}
+
+function inSessionWindow(lead, now = Date.now()) {
+  const at = lastInboundAt(lead);
+  return Boolean(at) && now - at < SESSION_WINDOW_MS;
+}
+
+// Local hour in a fixed UTC offset (Argentina: -180)
+function localHour(now, tzOffsetMin) {
+  return new Date(now + tzOffsetMin * 60000).getUTCHours();
+}
+
+// quiet = { start: 21, end: 9 } wraps midnight
+function inQuietHours(now, { quiet, tzOffsetMin }) {
+  const h = localHour(now, tzOffsetMin);
+  if (quiet.start === quiet.end) return false;
+  return quiet.start < quiet.end ? h >= quiet.start && h < quiet.end : h >= quiet.start || h < quiet.end;
+}
+
+// What we'd still need from the customer, in the order we'd ask for it: what the pending handoff needs,
+// otherwise what every handoff type needs. flow: the lead's qualification flow (lib/qualification)
+function missingFields(lead, flow) {
+  const type = lead.pendingHandoff?.type;
+  if (flow.isHandoff(type)) return flow.missing(lead, type);
+  const [first = [], ...rest] = flow.types.map((t) => flow.required(t));
+  return rest.reduce((common, req) => common.filter((f) => req.includes(f)), first).filter((f) => !lead[f]);
+}
+
+function isStalled(lead, now, { delaysMin, maxAttempts, flow }) {
+  if (lead.handedOff || lead.closed || lead.botPaused) return false;
+  if (!lastMessage(lead, (m) => m.from === "lead")) return false;
+
+  const last = lastMessage(lead, isConversational);
+  if (!last || last.from !== "bot") return false;
+
+  const midQualification = Boolean(lead.pendingHandoff || lead.visitOffer || missingFields(lead, flow).length);
+  if (!midQualification) return false;
+
+  const attempts = lead.followup?.attempts || 0;
+  if (attempts >= Math.min(maxAttempts, delaysMin.length)) return false;
+
+  return now - Date.parse(last.ts) >= delaysMin[attempts] * 60000;
+}
+
+// Nudge depends on what's missing; the question is the field's "ask" from the flow
+function nudgeText(lead, flow) {
+  const hi = lead.name ? `Hola ${lead.name} 👋` : "Hola 👋";
+  const [next] = missingFields(lead, flow);
+  const what = next && (flow.field(next)?.ask || flow.label(next));
+
+  if (lead.visitOffer) {
+    return `${hi} ¿Te sirve alguno de los horarios que te pasé para la visita? Respondeme con el número y te la agendo.`;
+  }
+  if (lead.pendingHandoff && what) {
+    return `${hi} Para pasarte con el asesor solo me falta ${what}. ¿Me lo decís?`;
+  }
+  if (what) return `${hi} ¿Seguimos? Contame ${what} y te ayudo.`;
+  return `${hi} ¿Pudiste pensarlo? Si querés te paso con un asesor para avanzar con el presupuesto o la visita.`;
+}
+
+module.exports = { isStalled, nudgeText, inSessionWindow, inQuietHours, missingFields, SESSION_WINDOW_MS };
@@ -0,0 +1,103 @@
+// lib/knowledge.js — catalog / FAQ knowledge base from local JSON files
+// - Every *.json in the knowledge dir is an array of entries:
+//   { id, type, title, keywords: [...], text }
+// - Files are re-read when they change (mtime check on each lookup): edit, save, done — no redeploy
+// - retrieve() scores entries by keyword/title/text overlap and returns only the top few,
+//   so the prompt stays small
+
+const fs = require("fs");
+const path = require("path");
+const { normalizeText } = require("./text");
+
+// Already accent-free (tokens are normalized before the lookup)
+const STOPWORDS = new Set(
+  [
+    ...["a", "al", "algo", "como", "con", "de", "del", "el", "en", "es", "esa", "ese", "esta", "este"],
+    ...["hay", "la", "las", "le", "lo", "los", "me", "mi", "mas", "muy", "no", "o", "para", "pero"],
+    ...["por", "que", "se", "si", "sin", "su", "sus", "te", "tu", "un", "una", "y", "ya", "yo"],
+    ...["quiero", "queria", "hola", "gracias"],
+  ]
+);
+
+function tokenize(text) {
+  return normalizeText(text)
+    .replace(/[^a-z0-9\s]/g, " ")
+    .split(/\s+/)
+    .filter((t) => t.length > 1 && !STOPWORDS.has(t));
+}
+
+function createKnowledgeBase({ dir }) {
+  let entries = [];
+  let signature = "";
+
+  function listFiles() {
+    if (!fs.existsSync(dir)) return [];
+    return fs
+      .readdirSync(dir)
+      .filter((f) => f.endsWith(".json"))
+      .sort();
+  }
+
+  function reloadIfChanged() {
+    const files = listFiles();
+    const sig = files.map((f) => `${f}:${fs.statSync(path.join(dir, f)).mtimeMs}`).join("|");
+    if (sig === signature) return;
+    signature = sig;
+
+    const next = [];
+    for (const f of files) {
+      try {
+        const raw = JSON.parse(fs.readFileSync(path.join(dir, f), "utf8"));
+        for (const e of Array.isArray(raw) ? raw : raw.entries || []) {
+          if (!e?.text) continue;
+          next.push({
+            ...e,
+            source: f,
+            _kw: new Set((e.keywords || []).flatMap(tokenize)),
+            _title: new Set(tokenize(e.title || "")),
+            _text: new Set(tokenize(e.text)),
+          });
+        }
+      } catch (e) {
+        // Keep serving what we had: a half-saved file shouldn't wipe the knowledge base
+        console.error("knowledge: failed to load", f, e?.message || e);
+        return;
+      }
+    }
+    entries = next;
+    console.log(`knowledge: loaded ${entries.length} entries from ${dir}`);
+  }
+
+  function retrieve(query, { limit = 4 } = {}) {
+    reloadIfChanged();
+    const tokens = new Set(tokenize(query));
+    if (!tokens.size) return [];
+
+    const scored = [];
+    for (const e of entries) {
+      let score = 0;
+      for (const t of tokens) {
+        if (e._kw.has(t)) score += 3;
+        else if (e._title.has(t)) score += 2;
+        else if (e._text.has(t)) score += 1;
+      }
+      if (score >= 2) scored.push({ e, score });
+    }
+    scored.sort((a, b) => b.score - a.score);
+    return scored.slice(0, limit).map(({ e, score }) => ({ id: e.id, type: e.type, title: e.title, text: e.text, score }));
+  }
+
+  return {
+    retrieve,
+    size() {
+      reloadIfChanged();
+      return entries.length;
+    },
+  };
+}
+
+function formatForPrompt(items) {
+  return items.map((e) => `- ${e.title}: ${e.text}`).join("\n");
+}
+
+module.exports = { createKnowledgeBase, formatForPrompt, tokenize };
@@ -0,0 +1,107 @@
+// lib/leadStore.js — pluggable lead persistence
+// Backends:
+// - "json"   (default): one JSON file per lead, atomic write (tmp + rename)
+// - "memory": no persistence (old behavior, useful for local tests)
+// Fields starting with "_" (queue, timers, etc.) are runtime-only and never persisted.
+// save() only marks the lead dirty: writes are coalesced per lead and go out asynchronously every flushMs,
+// so a burst of messages (or a long transcript) costs one compact write, off the request path.
+// flush() writes everything pending now (shutdown, tests).
+
+const fs = require("fs");
+const path = require("path");
+
+function serializeLead(lead) {
+  const out = {};
+  for (const [k, v] of Object.entries(lead || {})) {
+    if (k.startsWith("_")) continue;
+    out[k] = v;
+  }
+  return out;
+}
+
+function keyToFilename(key) {
+  return String(key || "unknown").replace(/[^a-zA-Z0-9_\-+.]/g, "_") + ".json";
+}
+
+function createMemoryBackend() {
+  return {
+    name: "memory",
+    loadAll: () => [],
+    save: async () => {},
+    remove: async () => {},
+  };
+}
+
+function createJsonBackend({ dir }) {
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+  return {
+    name: "json",
+    dir,
+
+    loadAll() {
+      const items = [];
+      for (const f of fs.readdirSync(dir)) {
+        if (!f.endsWith(".json")) continue;
+        try {
+          items.push(JSON.parse(fs.readFileSync(path.join(dir, f), "utf8")));
+        } catch (e) {
+          console.error("leadStore: skipping unreadable file", f, e?.message || e);
+        }
+      }
+      return items;
+    },
+
+    async save(key, data) {
+      const fpath = path.join(dir, keyToFilename(key));
+      const tmp = `${fpath}.tmp`;
+      await fs.promises.writeFile(tmp, JSON.stringify(data), "utf8");
+      await fs.promises.rename(tmp, fpath);
+    },
+
+    async remove(key) {
+      await fs.promises.rm(path.join(dir, keyToFilename(key)), { force: true });
+    },
+  };
+}
+
+function createLeadStore({ backend = "json", dir, flushMs = 200 } = {}) {
+  const impl = backend === "memory" ? createMemoryBackend() : createJsonBackend({ dir });
+  const dirty = new Map(); // key -> lead, serialized when the write goes out (latest state wins)
+  let timer = null;
+  let writing = Promise.resolve(); // writes and removes run in order, one at a time
+
+  // Never break the conversation because the disk failed
+  function run(label, fn) {
+    writing = writing.then(fn).catch((e) => console.error(`leadStore ${label} error:`, e?.message || e));
+    return writing;
+  }
+
+  function flush() {
+    clearTimeout(timer);
+    timer = null;
+    const batch = [...dirty].map(([key, lead]) => [key, serializeLead(lead)]);
+    dirty.clear();
+    for (const [key, data] of batch) run("save", () => impl.save(key, data));
+    return writing;
+  }
+
+  return {
+    backend: impl.name,
+    loadAll: () => impl.loadAll(),
+    save(key, lead) {
+      dirty.set(key, lead);
+      if (!timer) {
+        timer = setTimeout(flush, flushMs);
+        timer.unref?.();
+      }
+    },
+    remove(key) {
+      dirty.delete(key);
+      return run("remove", () => impl.remove(key));
+    },
+    flush,
+  };
+}
+
+module.exports = { createLeadStore, serializeLead };
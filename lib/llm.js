@@ -0,0 +1,170 @@
+// lib/llm.js — LLM providers behind one interface + a circuit breaker per provider
+// Provider: { name, kind, respond({ model, instructions, input, format, reasoning, context }) }
+//   -> { text, usage, model }
+// - "openai": Responses API (structured outputs via `format`)
+// - "local": any OpenAI-compatible /v1 endpoint (Ollama, vLLM, LM Studio...) over chat.completions;
+//   `format` becomes response_format, and its own model name replaces ours when set
+// - "rules": deterministic, no network. Only answers calls that bring a `context` (the decision turn),
+//   through the caller's decide(context) -> decision object. Never fails, so it always goes last
+// - After `failureThreshold` failures in a row a provider's circuit opens: it's skipped (no waiting on
+//   timeouts) until `cooldownMs` pass, then a single probe call decides whether it closes again
+// - Wrong output (bad JSON, schema violations) is the caller's problem, not an outage: only errors
+//   and timeouts count against the circuit
+
+function withTimeout(promise, ms) {
+  if (!ms) return promise;
+  return Promise.race([promise, new Promise((_, reject) => setTimeout(() => reject(new Error("timeout")), ms))]);
+}
+
+// client: () => OpenAI client (a getter, so tests can swap it)
+function createOpenAIProvider({ name = "openai", client }) {
+  return {
+    name,
+    kind: "openai",
+    async respond({ model, instructions, input, format, reasoning }) {
+      const r = await client().responses.create({
+        model,
+        ...(reasoning ? { reasoning } : {}),
+        instructions,
+        input,
+        ...(format ? { text: format } : {}),
+      });
+      return { text: r.output_text, usage: r.usage, model };
+    },
+  };
+}
+
+function createCompatProvider({ name = "local", client, model: fixedModel = "" }) {
+  return {
+    name,
+    kind: "local",
+    async respond({ model, instructions, input, format }) {
+      const used = fixedModel || model;
+      const f = format?.format;
+      const r = await client().chat.completions.create({
+        model: used,
+        messages: [
+          { role: "system", content: instructions },
+          { role: "user", content: input },
+        ],
+        ...(f
+          ? {
+              response_format: {
+                type: "json_schema",
+                json_schema: { name: f.name, schema: f.schema, strict: f.strict },
+              },
+            }
+          : {}),
+      });
+      const u = r.usage;
+      return {
+        text: r.choices?.[0]?.message?.content || "",
+        usage: u ? { input_tokens: u.prompt_tokens || 0, output_tokens: u.completion_tokens || 0 } : null,
+        model: used,
+      };
+    },
+  };
+}
+
+function createRulesProvider({ name = "rules", decide }) {
+  return {
+    name,
+    kind: "rules",
+    async respond({ context }) {
+      if (!context) throw new Error("rules_unsupported");
+      return { text: JSON.stringify(decide(context)), usage: null, model: "" };
+    },
+  };
+}
+
+// closed -> (threshold failures) -> open -> (cooldown) -> half_open: one probe -> closed | open
+function createCircuitBreaker({ failureThreshold = 3, cooldownMs = 30000 } = {}) {
+  let state = "closed";
+  let failures = 0;
+  let openedAt = 0;
+  let probing = false;
+
+  function allow(now = Date.now()) {
+    if (state === "closed") return true;
+    if (state === "open" && now - openedAt >= cooldownMs) state = "half_open";
+    if (state === "half_open" && !probing) {
+      probing = true;
+      return true;
+    }
+    return false;
+  }
+
+  function success() {
+    state = "closed";
+    failures = 0;
+    probing = false;
+  }
+
+  function failure(now = Date.now()) {
+    failures++;
+    if (state === "half_open" || failures >= failureThreshold) {
+      state = "open";
+      openedAt = now;
+    }
+    probing = false;
+  }
+
+  return {
+    allow,
+    success,
+    failure,
+    status: () => ({ state, failures, openedAt: openedAt ? new Date(openedAt).toISOString() : null }),
+  };
+}
+
+// providers: in preference order ("rules" last). onResult({ provider, outcome, ms }) for metrics
+function createLlm({ providers, failureThreshold, cooldownMs, onResult = () => {} }) {
+  const breakers = new Map(providers.map((p) => [p.name, createCircuitBreaker({ failureThreshold, cooldownMs })]));
+
+  // -> { text, usage, model, provider }. useRules: false for calls the rules backend can't answer
+  // (or when the caller has its own retry); throws "circuit_open" when every provider was skipped
+  async function respond(params, { timeoutMs, useRules = true } = {}) {
+    let lastError = null;
+    for (const p of providers) {
+      if (p.kind === "rules" && !useRules) continue;
+      const breaker = breakers.get(p.name);
+      if (p.kind !== "rules" && !breaker.allow()) {
+        onResult({ provider: p.name, outcome: "skipped", ms: 0 });
+        continue;
+      }
+      const startedAt = Date.now();
+      try {
+        const r = await withTimeout(p.respond(params), p.kind === "rules" ? 0 : timeoutMs);
+        breaker.success();
+        onResult({ provider: p.name, outcome: "ok", ms: Date.now() - startedAt });
+        return { ...r, provider: p.name };
+      } catch (e) {
+        lastError = e;
+        if (p.kind !== "rules") breaker.failure();
+        onResult({
+          provider: p.name,
+          outcome: e?.message === "timeout" ? "timeout" : "error",
+          ms: Date.now() - startedAt,
+        });
+      }
+    }
+    throw lastError || new Error("circuit_open");
+  }
+
+  const status = () =>
+    providers.map((p) => ({
+      name: p.name,
+      kind: p.kind,
+      ...(p.kind === "rules" ? {} : breakers.get(p.name).status()),
+    }));
+
+  return { respond, status, providers: () => providers.map((p) => p.name) };
+}
+
+module.exports = {
+  createCircuitBreaker,
+  createCompatProvider,
+  createLlm,
+  createOpenAIProvider,
+  createRulesProvider,
+};
@@ -0,0 +1,106 @@
+// lib/media.js — inbound media (photos, voice notes, documents) + location pins
+// Twilio sends: NumMedia, MediaUrl{i}, MediaContentType{i}, Latitude, Longitude, Address, Label
+
+const OpenAI = require("openai");
+
+function mediaKind(contentType) {
+  const ct = String(contentType || "").toLowerCase();
+  if (ct.startsWith("image/")) return "image";
+  if (ct.startsWith("audio/")) return "audio";
+  if (ct.startsWith("video/")) return "video";
+  return "document";
+}
+
+function parseInboundMedia(body = {}) {
+  const n = Number(body.NumMedia || 0);
+  const media = [];
+  for (let i = 0; i < n; i++) {
+    const url = body[`MediaUrl${i}`];
+    if (!url) continue;
+    const contentType = body[`MediaContentType${i}`] || "";
+    media.push({ url, contentType, kind: mediaKind(contentType) });
+  }
+  return media;
+}
+
+function parseInboundLocation(body = {}) {
+  const lat = Number(body.Latitude);
+  const lng = Number(body.Longitude);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || body.Latitude === undefined) return null;
+  return {
+    lat,
+    lng,
+    address: String(body.Address || "").trim(),
+    label: String(body.Label || "").trim(),
+  };
+}
+
+function mapsLink(loc) {
+  return `https://maps.google.com/?q=${loc.lat},${loc.lng}`;
+}
+
+// Best human-readable zone from a pin (no reverse geocoding: Address/Label if sent, else coords)
+function zoneFromLocation(loc) {
+  if (!loc) return "";
+  return loc.address || loc.label || `Ubicación ${loc.lat.toFixed(5)},${loc.lng.toFixed(5)}`;
+}
+
+const KIND_LABEL = {
+  image: ["foto", "fotos"],
+  audio: ["audio", "audios"],
+  video: ["video", "videos"],
+  document: ["archivo", "archivos"],
+};
+
+// "2 fotos, 1 audio"
+function summarizeMediaCounts(media = []) {
+  const counts = {};
+  for (const m of media) counts[m.kind] = (counts[m.kind] || 0) + 1;
+  return Object.entries(counts)
+    .map(([kind, c]) => {
+      const [one, many] = KIND_LABEL[kind] || KIND_LABEL.document;
+      return `${c} ${c === 1 ? one : many}`;
+    })
+    .join(", ");
+}
+
+// Text the AI sees for a message that carried media/location
+function describeForAI({ text, media = [], location = null }) {
+  const parts = [];
+  if (text) parts.push(text);
+  for (const m of media) {
+    if (m.kind === "audio" && m.transcript) parts.push(`[Audio transcripto]: ${m.transcript}`);
+    else if (m.kind === "audio") parts.push("[El cliente envió un audio que no se pudo transcribir]");
+    else if (m.kind === "image") parts.push("[El cliente envió una foto]");
+    else parts.push(`[El cliente envió un ${(KIND_LABEL[m.kind] || KIND_LABEL.document)[0]}]`);
+  }
+  if (location) parts.push(`[El cliente compartió su ubicación: ${zoneFromLocation(location)}]`);
+  return parts.join("\n");
+}
+
+// Download from Twilio (basic auth) and transcribe with OpenAI
+async function transcribeAudio({ openai, url, contentType, accountSid, authToken, model }) {
+  const headers = {};
+  if (accountSid && authToken) {
+    headers.Authorization = "Basic " + Buffer.from(`${accountSid}:${authToken}`).toString("base64");
+  }
+  const resp = await fetch(url, { headers });
+  if (!resp.ok) throw new Error(`media_download_${resp.status}`);
+
+  const buf = Buffer.from(await resp.arrayBuffer());
+  const ext = (String(contentType || "").split("/")[1] || "ogg").split(";")[0];
+  const file = await OpenAI.toFile(buf, `audio.${ext}`, { type: contentType || "audio/ogg" });
+
+  const r = await openai.audio.transcriptions.create({ model, file });
+  return String(r?.text || "").trim();
+}
+
+module.exports = {
+  parseInboundMedia,
+  parseInboundLocation,
+  zoneFromLocation,
+  mapsLink,
+  summarizeMediaCounts,
+  describeForAI,
+  transcribeAudio,
+};
@@ -0,0 +1,122 @@
+// lib/metrics.js — in-process counters/histograms in Prometheus text format, plus per-day totals
+// - No client library: a handful of metrics doesn't need one
+// - Every counter/histogram also adds into a per-day bucket (local date), persisted to a JSON file
+//   so the daily summary survives restarts (Prometheus counters simply reset, as usual)
+
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_BUCKETS = [0.5, 1, 2, 3, 5, 8, 13, 20, 30];
+const KEEP_DAYS = 90;
+
+const escapeLabel = (v) => String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+
+const labelKey = (labels = {}) =>
+  Object.keys(labels)
+    .sort()
+    .map((k) => `${k}="${escapeLabel(labels[k])}"`)
+    .join(",");
+
+function createMetrics({ file, tzOffsetMin = -180, prefix = "caia_" } = {}) {
+  const defs = new Map(); // name -> { type, help, buckets, series: Map(labelKey -> value|{counts,sum,count}) }
+  let daily = {}; // "2026-10-19" -> { "name{labels}": n, ... }
+  let dirty = false;
+
+  if (file && fs.existsSync(file)) {
+    try {
+      daily = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (e) {
+      console.error("metrics daily file unreadable, starting empty:", e?.message || e);
+    }
+  }
+
+  function today(now = Date.now()) {
+    return new Date(now + tzOffsetMin * 60000).toISOString().slice(0, 10);
+  }
+
+  function addDaily(key, n) {
+    const d = today();
+    daily[d] = daily[d] || {};
+    daily[d][key] = (daily[d][key] || 0) + n;
+    dirty = true;
+  }
+
+  function define(type, name, help, extra = {}) {
+    const full = prefix + name;
+    if (!defs.has(full)) defs.set(full, { type, help, series: new Map(), ...extra });
+    return { full, def: defs.get(full) };
+  }
+
+  function counter(name, help) {
+    const { full, def } = define("counter", name, help);
+    return {
+      inc(labels = {}, n = 1) {
+        const k = labelKey(labels);
+        def.series.set(k, (def.series.get(k) || 0) + n);
+        addDaily(k ? `${name}{${k}}` : name, n);
+      },
+      name: full,
+    };
+  }
+
+  function gauge(name, help, collect) {
+    define("gauge", name, help, { collect });
+  }
+
+  function histogram(name, help, { buckets = DEFAULT_BUCKETS } = {}) {
+    const { full, def } = define("histogram", name, help, { buckets });
+    return {
+      observe(labels = {}, v) {
+        const k = labelKey(labels);
+        const s = def.series.get(k) || { counts: buckets.map(() => 0), sum: 0, count: 0 };
+        buckets.forEach((b, i) => {
+          if (v <= b) s.counts[i]++;
+        });
+        s.sum += v;
+        s.count++;
+        def.series.set(k, s);
+        // Daily: count + sum are enough for an average per label set
+        addDaily(`${name}_count${k ? `{${k}}` : ""}`, 1);
+        addDaily(`${name}_sum${k ? `{${k}}` : ""}`, v);
+      },
+      name: full,
+    };
+  }
+
+  // Prometheus text exposition format 0.0.4
+  function render() {
+    const out = [];
+    const fmt = (name, k, v) => `${name}${k ? `{${k}}` : ""} ${Number.isInteger(v) ? v : Number(v.toFixed(6))}`;
+    for (const [name, def] of defs) {
+      out.push(`# HELP ${name} ${def.help}`, `# TYPE ${name} ${def.type}`);
+      if (def.type === "gauge") {
+        for (const { labels, value } of def.collect()) out.push(fmt(name, labelKey(labels), value));
+      } else if (def.type === "counter") {
+        for (const [k, v] of def.series) out.push(fmt(name, k, v));
+      } else {
+        for (const [k, s] of def.series) {
+          const le = (b) => [k, `le="${b}"`].filter(Boolean).join(",");
+          def.buckets.forEach((b, i) => out.push(fmt(`${name}_bucket`, le(b), s.counts[i])));
+          out.push(fmt(`${name}_bucket`, le("+Inf"), s.count));
+          out.push(fmt(`${name}_sum`, k, s.sum), fmt(`${name}_count`, k, s.count));
+        }
+      }
+    }
+    return out.join("\n") + "\n";
+  }
+
+  function save() {
+    if (!file || !dirty) return;
+    const days = Object.keys(daily).sort();
+    for (const d of days.slice(0, Math.max(0, days.length - KEEP_DAYS))) delete daily[d];
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(daily), "utf8");
+    fs.renameSync(tmp, file);
+    dirty = false;
+  }
+
+  return { counter, gauge, histogram, render, save, today, day: (d) => ({ ...(daily[d] || {}) }) };
+}
+
+module.exports = { createMetrics };
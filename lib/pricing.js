@@ -0,0 +1,117 @@
+// lib/pricing.js — rough price ranges from a local price table (config/prices.json)
+// - Per-product opt-in ("estimate": true); anything else always goes to an advisor
+// - Price per m² by fabric, minimum billable m², minimum charge per line, motor/installation extras
+// - Sizes arrive through quote.toMeters, which already drops anything over MAX_SIDE_M (missing_measurements)
+// - The table is re-read when the file changes, so prices can be updated without a redeploy
+// Output is a RANGE (± rangePct), never a quote.
+
+const fs = require("fs");
+const { normalizeText } = require("./text");
+
+function createPriceEstimator({ file }) {
+  let table = null;
+  let mtime = 0;
+
+  function load() {
+    if (!fs.existsSync(file)) return null;
+    const m = fs.statSync(file).mtimeMs;
+    if (table && m === mtime) return table;
+    try {
+      table = JSON.parse(fs.readFileSync(file, "utf8"));
+      mtime = m;
+    } catch (e) {
+      console.error("pricing: failed to load", file, e?.message || e);
+    }
+    return table;
+  }
+
+  // "Roller", "cortina roller", "bandas" -> product key in the table
+  function productKey(t, name) {
+    const n = normalizeText(name);
+    if (!n) return "";
+    for (const [key, p] of Object.entries(t.products || {})) {
+      const k = normalizeText(key).replace(/-/g, " ");
+      if (n.includes(k) || n.includes(normalizeText(p.label || ""))) return key;
+    }
+    if (n.includes("banda")) return t.products?.["bandas-verticales"] ? "bandas-verticales" : "";
+    return "";
+  }
+
+  function fabricKey(product, name) {
+    const n = normalizeText(name);
+    for (const [key, f] of Object.entries(product.fabrics || {})) {
+      if (n && (n.includes(normalizeText(key)) || n.includes(normalizeText(f.label || "")))) return key;
+    }
+    return product.defaultFabric || "";
+  }
+
+  // items: [{ product, fabric, width_m, height_m, quantity, motorized }]
+  // -> { ok, reason?, currency, lines, low, high, version }
+  function estimate(items = []) {
+    const t = load();
+    if (!t) return { ok: false, reason: "no_price_table" };
+    if (!items.length) return { ok: false, reason: "no_items" };
+
+    const lines = [];
+    for (const item of items) {
+      const key = productKey(t, item.product);
+      const product = t.products?.[key];
+      if (!product) return { ok: false, reason: "unknown_product", item };
+      if (!product.estimate) return { ok: false, reason: "product_not_enabled", item };
+
+      const w = Number(item.width_m);
+      const h = Number(item.height_m);
+      const qty = Math.round(Number(item.quantity) || 0);
+      if (!(w > 0 && h > 0)) return { ok: false, reason: "missing_measurements", item };
+      if (qty < 1) return { ok: false, reason: "missing_quantity", item };
+
+      const fKey = fabricKey(product, item.fabric);
+      const fabric = product.fabrics?.[fKey];
+      if (!fabric) return { ok: false, reason: "unknown_fabric", item };
+
+      const m2 = Math.max(w * h, product.minM2 || 0);
+      let unit = m2 * fabric.pricePerM2;
+      unit = Math.max(unit, product.minCharge || 0);
+      if (item.motorized === "yes") unit += product.extras?.motorPerUnit || 0;
+      unit += product.extras?.installationPerUnit || 0;
+
+      lines.push({
+        product: product.label || key,
+        fabric: fabric.label || fKey,
+        width_m: w,
+        height_m: h,
+        quantity: qty,
+        motorized: item.motorized === "yes",
+        subtotal: unit * qty,
+      });
+    }
+
+    const total = lines.reduce((acc, l) => acc + l.subtotal, 0);
+    const pct = (t.rangePct ?? 15) / 100;
+    const round = t.roundTo || 1000;
+    return {
+      ok: true,
+      currency: t.currency || "ARS",
+      version: t.version || "",
+      lines,
+      low: Math.floor((total * (1 - pct)) / round) * round,
+      high: Math.ceil((total * (1 + pct)) / round) * round,
+    };
+  }
+
+  // Products the bot may estimate (for the prompt)
+  function enabledProducts() {
+    const t = load();
+    return Object.entries(t?.products || {})
+      .filter(([, p]) => p.estimate)
+      .map(([key, p]) => p.label || key);
+  }
+
+  return { estimate, enabledProducts };
+}
+
+function formatMoney(n, currency = "ARS") {
+  return new Intl.NumberFormat("es-AR", { style: "currency", currency, maximumFractionDigits: 0 }).format(n);
+}
+
+module.exports = { createPriceEstimator, formatMoney };
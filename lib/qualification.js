@@ -0,0 +1,198 @@
+// lib/qualification.js — qualification flow: which lead fields to capture and what each handoff type needs
+// Flow file (config/qualification.json, see config/qualification.example.json):
+// {
+//   "fields": { "name": { "label": "Nombre", "ask": "tu nombre", "empty": "sin_nombre",
+//                         "hint": "...", "validate": { "minLength": 2, "maxLength": 60, "pattern": "..." } } },
+//   "handoffs": { "visit": { "label": "Visita", "emoji": "📅", "describe": "coordinar visita/medición/agendar",
+//                            "keywords": ["visita", ...], "required": ["intentSummary", ...], "slots": true } }
+// }
+// - One definition drives the AI schema and prompt, readiness checks, fallback questions and the handoff message
+// - Field order = prompt/handoff order; required order = the order missing fields are asked for
+// - Handoff types are checked in file order: the first one whose keywords match wins
+// - "slots": that type books a visit (availability comes from the picked slot); "estimate": send price ranges
+// - A tenant's handoffFields override the required lists; its qualificationFile swaps the whole flow
+// - No file -> the built-in flow below. Re-read when the file changes
+
+const fs = require("fs");
+const { normalizeText } = require("./text");
+const { decisionTextFormat } = require("./decision");
+
+const DEFAULT_FLOW = {
+  fields: {
+    name: { label: "Nombre", ask: "tu nombre", empty: "sin_nombre", validate: { minLength: 2, maxLength: 60 } },
+    zone: { label: "Zona", ask: "tu zona/barrio", empty: "sin_zona", validate: { minLength: 2, maxLength: 80 } },
+    intentSummary: {
+      label: "Interés",
+      ask: "qué estás buscando (en 1 frase)",
+      empty: "sin_contexto",
+      hint: "1 línea de qué busca",
+      validate: { minLength: 3, maxLength: 200 },
+    },
+    availability: {
+      label: "Disponibilidad",
+      ask: "qué día y horario te queda mejor (de 8 a 17)",
+      empty: "sin_disponibilidad",
+      hint: "preferencia de día/horario, opcional",
+      validate: { maxLength: 120 },
+    },
+  },
+  handoffs: {
+    visit: {
+      label: "Visita",
+      emoji: "📅",
+      describe: "coordinar visita/medición/agendar",
+      keywords: ["visita", "medicion", "relevamiento", "agendar", "coordinar"],
+      required: ["intentSummary", "name", "zone", "availability"],
+      slots: true,
+    },
+    price: {
+      label: "Presupuesto",
+      emoji: "🧑‍💼",
+      describe: "precio/presupuesto/cotización",
+      keywords: ["precio", "presupuesto", "cotiz", "cuanto", "valor"],
+      required: ["intentSummary", "name", "zone"],
+      estimate: true,
+    },
+  },
+};
+
+// Slot-based types get the availability from the booking, so it isn't asked before offering slots
+const SLOT_FIELD = "availability";
+const SLOTS_NOTE = "Los horarios concretos los ofrece el sistema: no propongas ni confirmes días/horarios vos.";
+
+// "intentSummary + name + zone" (for the prompt)
+const fieldList = (fields) => fields.join(" + ");
+
+function compileFlow(def, handoffFields = {}) {
+  const fieldDefs = def.fields || {};
+  const fields = Object.keys(fieldDefs);
+  const handoffDefs = {};
+  for (const [type, h] of Object.entries(def.handoffs || {})) {
+    const required = (handoffFields[type] || h.required || []).filter((f) => fields.includes(f));
+    handoffDefs[type] = { label: type, emoji: "🧑‍💼", keywords: [], ...h, required };
+  }
+  const types = Object.keys(handoffDefs);
+
+  const field = (name) => fieldDefs[name] || null;
+  const handoff = (type) => handoffDefs[type] || null;
+  const isHandoff = (type) => types.includes(type);
+  const label = (name) => field(name)?.label || name;
+
+  // Trimmed value, or null when it breaks the field's validation
+  function clean(name, value) {
+    const def = field(name);
+    if (!def || typeof value !== "string") return null;
+    const v = value.trim();
+    if (!v) return v;
+    const rules = def.validate || {};
+    if (rules.minLength && v.length < rules.minLength) return null;
+    if (rules.maxLength && v.length > rules.maxLength) return null;
+    if (rules.pattern && !new RegExp(rules.pattern, "i").test(v)) return null;
+    return v;
+  }
+
+  const required = (type) => handoff(type)?.required || [];
+  // What's asked before concrete slots are offered (slot types); the full list otherwise
+  const basics = (type) => required(type).filter((f) => !(handoff(type)?.slots && f === SLOT_FIELD));
+  const missing = (lead, type) => required(type).filter((f) => !lead?.[f]);
+  const isReady = (lead, type) => isHandoff(type) && !missing(lead, type).length;
+  const hasBasics = (lead, type) => isHandoff(type) && basics(type).every((f) => lead?.[f]);
+
+  // Keyword intent for turns without the AI: the pending type sticks, then keywords in file order
+  function detect(text, pending) {
+    const t = normalizeText(text);
+    for (const type of types) {
+      if (pending === type) return type;
+      if (handoff(type).keywords.some((k) => t.includes(normalizeText(k)))) return type;
+    }
+    return "none";
+  }
+
+  // ===== Prompt pieces =====
+  const promptFields = () => fields.map((f) => (field(f).hint ? `${f} (${field(f).hint})` : f)).join(", ");
+  const promptIntents = () =>
+    types.map((t) => `"${t}"${handoff(t).describe ? ` (${handoff(t).describe})` : ""}`).join(" o ");
+  const promptRequirements = () =>
+    types.map(
+      (t) =>
+        `- Para "${t}": NO derivar aún a menos que existan ${fieldList(basics(t)) || "(nada)"}.` +
+        (handoff(t).slots ? `\n  ${SLOTS_NOTE}` : "")
+    );
+  const promptOutput = () =>
+    JSON.stringify({
+      reply: "...",
+      ...Object.fromEntries(fields.map((f) => [f, ""])),
+      handoff_intent: ["none", ...types].join("|"),
+      corrections: [],
+      opt_out: false,
+      quoteItems: [],
+    });
+
+  // "Nombre: Ana" lines for the advisor: required fields (placeholder when empty) + anything else captured
+  function handoffLines(lead, type) {
+    return fields
+      .filter((f) => required(type).includes(f) || lead?.[f])
+      .map((f) => `${label(f)}: ${lead?.[f] || field(f).empty || "—"}`);
+  }
+
+  const intents = ["none", ...types];
+  return {
+    fields,
+    types,
+    intents,
+    textFormat: decisionTextFormat({ fields, intents }),
+    field,
+    handoff,
+    isHandoff,
+    label,
+    clean,
+    required,
+    basics,
+    missing,
+    isReady,
+    hasBasics,
+    detect,
+    promptFields,
+    promptIntents,
+    promptRequirements,
+    promptOutput,
+    handoffLines,
+  };
+}
+
+function createQualification({ file, defaults = DEFAULT_FLOW }) {
+  const files = new Map(); // path -> { def, mtime }
+  const compiled = new Map(); // "path|overrides" -> { def, flow }
+
+  function loadDef(f) {
+    if (!f || !fs.existsSync(f)) return defaults;
+    const m = fs.statSync(f).mtimeMs;
+    const hit = files.get(f);
+    if (hit && hit.mtime === m) return hit.def;
+    try {
+      const raw = JSON.parse(fs.readFileSync(f, "utf8"));
+      if (!raw.fields || !raw.handoffs) throw new Error("fields and handoffs are required");
+      files.set(f, { def: raw, mtime: m });
+      return raw;
+    } catch (e) {
+      console.error("qualification: failed to load", f, e?.message || e);
+      return hit?.def || defaults;
+    }
+  }
+
+  // tenant: { qualificationFile?, handoffFields? } -> compiled flow (cached until the file changes)
+  function forTenant(tenant = {}) {
+    const f = tenant.qualificationFile || file;
+    const def = loadDef(f);
+    const key = `${f}|${JSON.stringify(tenant.handoffFields || {})}`;
+    const hit = compiled.get(key);
+    if (hit && hit.def === def) return hit.flow;
+    const flow = compileFlow(def, tenant.handoffFields || {});
+    compiled.set(key, { def, flow });
+    return flow;
+  }
+
+  return { forTenant };
+}
+
+module.exports = { DEFAULT_FLOW, compileFlow, createQualification };
@@ -0,0 +1,91 @@
+// lib/quote.js — structured quote items (what the customer wants priced/measured)
+// Item: { room, product, fabric, width_m, height_m, quantity, mount, motorized }
+// - The AI fills them from free text ("dos ventanas de 1,20 x 1,50 en el living")
+// - 0 / "" / "unknown" = not said yet; nextMissingQuestion() asks for one thing at a time
+// - formatQuoteTable() renders them for the advisor (monospace block, reads fine on WhatsApp)
+
+const MOUNT_TYPES = ["inside", "outside", "unknown"]; // dentro / fuera del vano
+const MOTORIZED = ["yes", "no", "unknown"];
+
+const MOUNT_LABELS = { inside: "dentro", outside: "fuera", unknown: "?" };
+const MOTOR_LABELS = { yes: "sí", no: "no", unknown: "?" };
+
+const str = (v) => (typeof v === "string" ? v.trim() : "");
+
+// Longest side we take at face value; past it the measure is a typo or a job for an advisor
+const MAX_SIDE_M = 10;
+
+// "1,20" -> 1.2; anything over 10 is taken as centimeters ("120 x 150").
+// Still over MAX_SIDE_M once in meters ("1500") -> 0: not said yet, so it's asked again and never estimated
+function toMeters(v) {
+  const n = typeof v === "string" ? Number(v.replace(",", ".")) : Number(v);
+  if (!Number.isFinite(n) || n <= 0) return 0;
+  const m = n > 10 ? Math.round(n) / 100 : Math.round(n * 1000) / 1000;
+  return m > MAX_SIDE_M ? 0 : m;
+}
+
+function normalizeQuoteItem(it) {
+  const qty = Math.round(Number(it.quantity) || 0);
+  return {
+    room: str(it.room),
+    product: str(it.product),
+    fabric: str(it.fabric),
+    width_m: toMeters(it.width_m),
+    height_m: toMeters(it.height_m),
+    quantity: qty > 0 ? qty : 0,
+    mount: MOUNT_TYPES.includes(it.mount) ? it.mount : "unknown",
+    motorized: MOTORIZED.includes(it.motorized) ? it.motorized : "unknown",
+  };
+}
+
+// Next thing to ask, in order: sizes first (the advisor can't quote without them), then the rest.
+// Motorized is never asked for: it's recorded if they mention it, the advisor offers it anyway.
+// -> "" when nothing is missing
+const QUESTIONS = [
+  [(it) => !it.width_m || !it.height_m, "la medida en metros, ancho × alto"],
+  [(it) => !it.quantity, "cuántas cortinas son"],
+  [(it) => !it.product, "qué producto querés"],
+  [(it) => !it.room, "en qué ambiente va"],
+  [(it) => it.mount === "unknown", "si va dentro o fuera del vano"],
+];
+
+function nextMissingQuestion(items = []) {
+  for (const [missing, question] of QUESTIONS) {
+    const i = items.findIndex(missing);
+    if (i === -1) continue;
+    const tag = items.length > 1 ? ` (${items[i].room || `ventana ${i + 1}`})` : "";
+    return `${question}${tag}`;
+  }
+  return "";
+}
+
+const fmtM = (n) => (n ? n.toFixed(2).replace(".", ",") : "?");
+
+function formatQuoteTable(items = []) {
+  const rows = [
+    ["#", "Ambiente", "Producto", "Ancho", "Alto", "Cant", "Montaje", "Motor"],
+    ...items.map((it, i) => [
+      String(i + 1),
+      it.room || "?",
+      [it.product, it.fabric].filter(Boolean).join(" ") || "?",
+      fmtM(it.width_m),
+      fmtM(it.height_m),
+      it.quantity ? String(it.quantity) : "?",
+      MOUNT_LABELS[it.mount] || "?",
+      MOTOR_LABELS[it.motorized] || "?",
+    ]),
+  ];
+  const widths = rows[0].map((_, c) => Math.max(...rows.map((r) => r[c].length)));
+  const lines = rows.map((r) => r.map((cell, c) => cell.padEnd(widths[c])).join(" | ").trimEnd());
+  return "```\n" + lines.join("\n") + "\n```";
+}
+
+module.exports = {
+  MAX_SIDE_M,
+  MOUNT_TYPES,
+  MOTORIZED,
+  normalizeQuoteItem,
+  nextMissingQuestion,
+  formatQuoteTable,
+  toMeters,
+};
@@ -0,0 +1,55 @@
+// lib/rateLimit.js — sliding-window rate limits + AI usage accounting
+// - createRateLimiter: several windows per key ({ windowMs, max }); a hit counts against all of them
+// - Keys with nothing left in any window are swept lazily, so memory follows active numbers only
+// - aiCostUsd: token usage -> USD with a "model:in/out" per-1M price list
+
+function createRateLimiter({ limits }) {
+  const hits = new Map(); // key -> [ts, ...] (ascending)
+  const longest = Math.max(...limits.map((l) => l.windowMs));
+  let sinceSweep = 0;
+
+  function sweep(now) {
+    for (const [key, list] of hits) {
+      if (!list.length || list[list.length - 1] <= now - longest) hits.delete(key);
+    }
+  }
+
+  // Records the hit only when allowed. -> { allowed, limit?, retryAfterMs }
+  function hit(key, now = Date.now()) {
+    if (++sinceSweep >= 1000) {
+      sinceSweep = 0;
+      sweep(now);
+    }
+    const list = (hits.get(key) || []).filter((t) => t > now - longest);
+    for (const limit of limits) {
+      const inWindow = list.filter((t) => t > now - limit.windowMs);
+      if (inWindow.length >= limit.max) {
+        hits.set(key, list);
+        return { allowed: false, limit, retryAfterMs: inWindow[0] + limit.windowMs - now };
+      }
+    }
+    list.push(now);
+    hits.set(key, list);
+    return { allowed: true, retryAfterMs: 0 };
+  }
+
+  return { hit, reset: (key) => hits.delete(key), size: () => hits.size };
+}
+
+// "gpt-5-mini:0.25/2,gpt-5:1.25/10" -> { "gpt-5-mini": { in: 0.25, out: 2 }, ... } (USD per 1M tokens)
+function parseModelPrices(value) {
+  const prices = {};
+  for (const entry of String(value || "").split(",")) {
+    const m = entry.trim().match(/^([^:]+):([\d.]+)\/([\d.]+)$/);
+    if (m) prices[m[1]] = { in: Number(m[2]), out: Number(m[3]) };
+  }
+  return prices;
+}
+
+function aiCostUsd(prices, model, usage) {
+  const p = prices[model];
+  if (!p || !usage) return 0;
+  return ((usage.input_tokens || 0) * p.in + (usage.output_tokens || 0) * p.out) / 1e6;
+}
+
+module.exports = { createRateLimiter, parseModelPrices, aiCostUsd };
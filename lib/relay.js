@@ -0,0 +1,50 @@
+// lib/relay.js — advisor <-> customer relay after handoff
+// Advisor messages (from HANDOFF_TO) address a lead by short ref ("#K7QD hola Ana")
+// or by quoting a relayed/handoff message. Commands: "#cerrar", "#bot".
+
+const crypto = require("crypto");
+
+const REF_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789"; // no 0/O/1/I
+const COMMANDS = {
+  cerrar: "close",
+  close: "close",
+  bot: "bot",
+  caia: "bot",
+  ayuda: "help",
+  help: "help",
+};
+
+function generateRef(taken = new Set(), len = 4) {
+  for (;;) {
+    const bytes = crypto.randomBytes(len);
+    let ref = "";
+    for (const b of bytes) ref += REF_ALPHABET[b % REF_ALPHABET.length];
+    if (!taken.has(ref)) return ref;
+  }
+}
+
+// "#K7QD #cerrar" | "#cerrar #K7QD" | "#k7qd hola, soy Juan" | "hola" (no ref)
+// -> { ref, command, body }
+function parseAdvisorMessage(text) {
+  let rest = String(text || "").trim();
+  let ref = "";
+  let command = "";
+
+  for (;;) {
+    const m = rest.match(/^#([a-z0-9]+)\b\s*/i);
+    if (!m) break;
+    const token = m[1].toLowerCase();
+    if (COMMANDS[token] && !command) command = COMMANDS[token];
+    else if (!ref) ref = m[1].toUpperCase();
+    else break;
+    rest = rest.slice(m[0].length);
+  }
+  return { ref, command, body: rest.trim() };
+}
+
+const ADVISOR_HELP = [
+  "Para escribirle a un cliente: #REF tu mensaje (o respondé citando su mensaje).",
+  "Comandos: #REF #cerrar (cerrar conversación) · #REF #bot (devolverle el control al bot)",
+].join("\n");
+
+module.exports = { generateRef, parseAdvisorMessage, ADVISOR_HELP };
@@ -0,0 +1,113 @@
+// lib/routing.js — which advisor gets a lead on handoff
+// Routing table (config/advisors.json, see config/advisors.example.json):
+// {
+//   "advisors": [{ "id": "maria", "name": "María", "phone": "whatsapp:+549...", "active": true }],
+//   "groups": [{ "id": "funes", "zones": ["funes"], "products": [], "types": [], "advisors": ["maria"],
+//                "strategy": "round_robin" | "least_loaded" }],
+//   "default": "maria"
+// }
+// - Groups are tried in order; an empty/missing zones/products/types list matches anything
+// - Zones/products match by accent-free substring (zone "Funes centro" matches "funes")
+// - No table (or no match and no "default") -> the single HANDOFF_TO number, as before
+// - The table is re-read when the file changes
+
+const fs = require("fs");
+const { normalizeText } = require("./text");
+
+function createRouter({ file, fallbackPhone = "" }) {
+  let table = null;
+  let mtime = 0;
+  const cursors = {}; // group id -> next round-robin index (in memory; a restart just starts over)
+
+  const fallback = fallbackPhone ? { id: "default", name: "Asesor", phone: fallbackPhone } : null;
+
+  function load() {
+    if (!file || !fs.existsSync(file)) return null;
+    const m = fs.statSync(file).mtimeMs;
+    if (table && m === mtime) return table;
+    try {
+      table = JSON.parse(fs.readFileSync(file, "utf8"));
+      mtime = m;
+    } catch (e) {
+      console.error("routing: failed to load", file, e?.message || e);
+    }
+    return table;
+  }
+
+  function advisors() {
+    const t = load();
+    return (t?.advisors || []).filter((a) => a.phone);
+  }
+
+  const byId = (id) => advisors().find((a) => a.id === id) || null;
+  const isActive = (a) => a && a.active !== false;
+
+  const anyIncludes = (haystack, needles) =>
+    needles.some((n) => haystack.some((h) => h.includes(normalizeText(n))));
+
+  function matches(group, { zone, products, type }) {
+    if (group.types?.length && !group.types.includes(type)) return false;
+    if (group.zones?.length && !anyIncludes([normalizeText(zone)], group.zones)) return false;
+    if (group.products?.length && !anyIncludes(products.map(normalizeText), group.products)) return false;
+    return true;
+  }
+
+  // lead: { zone, intentSummary, quoteItems }; load(advisorId) -> open leads for that advisor
+  // -> { id, name, phone, group, strategy } | null
+  function pick(lead, { type = "", load: loadOf = () => 0 } = {}) {
+    const t = load();
+    if (!t) return fallback && { ...fallback, group: "", strategy: "fallback" };
+
+    const ctx = {
+      zone: lead.zone || "",
+      products: [lead.intentSummary || "", ...(lead.quoteItems || []).map((i) => i.product || "")],
+      type,
+    };
+
+    for (const group of t.groups || []) {
+      if (!matches(group, ctx)) continue;
+      const pool = (group.advisors || []).map(byId).filter(isActive);
+      if (!pool.length) continue;
+
+      let chosen;
+      if (group.strategy === "least_loaded") {
+        // Ties go to the first listed, so the order in the table is the tie-break
+        chosen = pool.reduce((best, a) => (loadOf(a.id) < loadOf(best.id) ? a : best));
+      } else {
+        const i = (cursors[group.id] || 0) % pool.length;
+        cursors[group.id] = i + 1;
+        chosen = pool[i];
+      }
+      return { ...describe(chosen), group: group.id, strategy: group.strategy || "round_robin" };
+    }
+
+    const def = byId(t.default);
+    if (isActive(def)) return { ...describe(def), group: "", strategy: "default" };
+    return fallback && { ...fallback, group: "", strategy: "fallback" };
+  }
+
+  function describe(a) {
+    return { id: a.id, name: a.name || a.id, phone: a.phone };
+  }
+
+  // Default advisor (messages about leads nobody was assigned to yet)
+  function defaultAdvisor() {
+    const def = byId(load()?.default);
+    return isActive(def) ? describe(def) : fallback;
+  }
+
+  // Active advisor by id (e.g. the one a visit was booked with)
+  function advisorById(id) {
+    const a = byId(id);
+    return isActive(a) ? describe(a) : null;
+  }
+
+  // Every number that may talk to the bot as an advisor
+  function advisorPhones() {
+    return [...advisors().map((a) => a.phone), ...(fallback ? [fallback.phone] : [])];
+  }
+
+  return { pick, advisorById, defaultAdvisor, advisorPhones, advisors };
+}
+
+module.exports = { createRouter };
@@ -0,0 +1,275 @@
+// lib/scheduling.js — visit scheduling against a local JSON calendar
+// - Working hours/days come from config (same 8–17 as the showroom facts)
+// - Calendar file: { advisors: [{ id, name }], events: [{ id, advisorId, start, end, kind, phone?, status }] }
+//   kind "busy" = blocked by the advisor (edit the file by hand), kind "visit" = booked by the bot
+// - All wall-clock math is done in a fixed UTC offset (Argentina has no DST)
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const DAY_NAMES = ["domingo", "lunes", "martes", "miércoles", "jueves", "viernes", "sábado"];
+const DAY_SHORT = ["dom", "lun", "mar", "mié", "jue", "vie", "sáb"];
+
+const { stripAccents } = require("./text");
+
+function pad(n) {
+  return String(n).padStart(2, "0");
+}
+
+// ---- time helpers (local = UTC shifted by tzOffsetMin) ----
+function toLocal(ms, tzOffsetMin) {
+  return new Date(ms + tzOffsetMin * 60000);
+}
+
+function fromLocalParts(y, mo, d, h, mi, tzOffsetMin) {
+  return Date.UTC(y, mo, d, h, mi) - tzOffsetMin * 60000;
+}
+
+function formatSlot(slot, tzOffsetMin) {
+  const s = toLocal(Date.parse(slot.start), tzOffsetMin);
+  const e = toLocal(Date.parse(slot.end), tzOffsetMin);
+  return (
+    `${DAY_SHORT[s.getUTCDay()]} ${pad(s.getUTCDate())}/${pad(s.getUTCMonth() + 1)} ` +
+    `${pad(s.getUTCHours())}:${pad(s.getUTCMinutes())}–${pad(e.getUTCHours())}:${pad(e.getUTCMinutes())}`
+  );
+}
+
+// ---- free-text helpers ----
+
+// "el martes a la tarde" -> { days: [2], part: "afternoon" }
+function parsePreference(text) {
+  const t = stripAccents(text).toLowerCase();
+  const days = [];
+  DAY_NAMES.forEach((d, i) => {
+    if (t.includes(stripAccents(d))) days.push(i);
+  });
+
+  let part = null;
+  if (/\btarde\b/.test(t)) part = "afternoon";
+  else if (/(a la|por la|de) manana/.test(t) || /\btemprano\b/.test(t)) part = "morning";
+
+  return { days, part };
+}
+
+// "el martes no puedo, el jueves sí" -> ["el jueves si"]: clauses with a negation don't pick anything
+function affirmedClauses(t) {
+  return t
+    .split(/[,;.]|\bpero\b|\by\b/)
+    .map((c) => c.trim())
+    .filter((c) => c && !/\b(no|nunca|ni)\b/.test(c));
+}
+
+const ORDINALS = [
+  ["1", "uno", "primero", "primera", "el primero", "la primera"],
+  ["2", "dos", "segundo", "segunda", "el segundo", "la segunda"],
+  ["3", "tres", "tercero", "tercera", "el tercero", "la tercera"],
+];
+
+// Customer reply to an offer: "1", "la 2", "opción 3", "el primero", "el martes", "la de las 10", "jueves 14hs".
+// Ordinals only count as the whole message, so "es mi primera vez" doesn't book slot 1
+function pickSlotFromReply(text, slots, tzOffsetMin) {
+  const t = stripAccents(text).toLowerCase().replace(/[^\w\s:,;.]/g, " ").replace(/\s+/g, " ").trim();
+  if (!t || !slots?.length) return null;
+
+  const bare = t
+    .replace(/[^\w\s]/g, "")
+    .replace(/^(dale|ok|si)\s+/, "")
+    .replace(/^(la|el)\s+/, "")
+    .replace(/^(opcion|numero|nro|horario)\s+/, "")
+    .trim();
+  for (let i = 0; i < Math.min(slots.length, ORDINALS.length); i++) {
+    if (ORDINALS[i].includes(bare)) return slots[i];
+  }
+
+  // Day name and/or hour, from the parts of the message that aren't negated
+  const clauses = affirmedClauses(t);
+  const days = [...new Set(clauses.flatMap((c) => parsePreference(c).days))];
+  const hours = clauses.flatMap((c) => {
+    const m =
+      c.match(/\blas?\s+([01]?\d|2[0-3])(?::[0-5]\d)?\b/) ||
+      c.match(/\b([01]?\d|2[0-3])(?::[0-5]\d|\s*(?:hs|h|horas)\b)/) ||
+      c.match(/^([01]?\d|2[0-3])$/);
+    return m ? [Number(m[1])] : [];
+  });
+  if (!days.length && !hours.length) return null;
+
+  const matches = slots.filter((s) => {
+    const d = toLocal(Date.parse(s.start), tzOffsetMin);
+    if (days.length && !days.includes(d.getUTCDay())) return false;
+    if (hours.length && !hours.includes(d.getUTCHours())) return false;
+    return true;
+  });
+  return matches.length === 1 ? matches[0] : null;
+}
+
+// Later messages about an existing appointment. "cambiar"/"pasar"/"mover" need the appointment
+// in the sentence ("cambiar el turno", "pasarla al jueves"): "pasame el precio" is not a reschedule
+const APPOINTMENT_CONTEXT = new RegExp(
+  `\\b(visita|turno|cita|medicion|horario|hora|fecha|dia|manana|${DAY_NAMES.map(stripAccents).join("|")})\\b`
+);
+
+function detectAppointmentChange(text) {
+  const t = stripAccents(text).toLowerCase().replace(/[^\w\s]/g, " ").replace(/\s+/g, " ").trim();
+  const context = APPOINTMENT_CONTEXT.test(t);
+  if (/no (voy a )?(poder|puedo) (ir|estar|recibir)/.test(t)) return "cancel";
+  if (/\b(cancel|anul|suspend)\w*/.test(t) && (context || t.split(" ").length <= 3)) return "cancel";
+  if (/\breprogram\w*/.test(t) || /\botro (dia|horario|turno)\b/.test(t)) return "reschedule";
+  if (/\b(cambi|mov|pas|corr)(ar|arla|arlo|emos|amos|as|es|a)\b/.test(t) && context) return "reschedule";
+  return null;
+}
+
+// ---- calendar ----
+function createScheduler({
+  file,
+  hours = { start: 8, end: 17 },
+  days = [1, 2, 3, 4, 5],
+  slotMinutes = 60,
+  horizonDays = 14,
+  minLeadHours = 18,
+  tzOffsetMin = -180,
+  maxOffers = 3,
+  isClosedDate = () => false, // "2026-12-25" -> true on holidays/closures
+} = {}) {
+  function load() {
+    if (!fs.existsSync(file)) {
+      const init = { advisors: [{ id: "default", name: "Asesor" }], events: [] };
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify(init, null, 2), "utf8");
+      return init;
+    }
+    const cal = JSON.parse(fs.readFileSync(file, "utf8"));
+    cal.advisors = cal.advisors?.length ? cal.advisors : [{ id: "default", name: "Asesor" }];
+    cal.events = cal.events || [];
+    return cal;
+  }
+
+  function save(cal) {
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(cal, null, 2), "utf8");
+    fs.renameSync(tmp, file);
+  }
+
+  function isFree(cal, advisorId, startMs, endMs) {
+    return !cal.events.some(
+      (e) =>
+        e.advisorId === advisorId &&
+        e.status !== "cancelled" &&
+        Date.parse(e.start) < endMs &&
+        Date.parse(e.end) > startMs
+    );
+  }
+
+  function freeAdvisor(cal, startMs, endMs) {
+    return cal.advisors.find((a) => isFree(cal, a.id, startMs, endMs)) || null;
+  }
+
+  // All free slots in the horizon, in order
+  function freeSlots(cal, now) {
+    const out = [];
+    const earliest = now + minLeadHours * 3600000;
+    const base = toLocal(now, tzOffsetMin);
+
+    for (let i = 0; i <= horizonDays; i++) {
+      const day = new Date(Date.UTC(base.getUTCFullYear(), base.getUTCMonth(), base.getUTCDate() + i));
+      if (!days.includes(day.getUTCDay())) continue;
+      if (isClosedDate(day.toISOString().slice(0, 10))) continue;
+
+      for (let m = hours.start * 60; m + slotMinutes <= hours.end * 60; m += slotMinutes) {
+        const startMs = fromLocalParts(
+          day.getUTCFullYear(),
+          day.getUTCMonth(),
+          day.getUTCDate(),
+          Math.floor(m / 60),
+          m % 60,
+          tzOffsetMin
+        );
+        const endMs = startMs + slotMinutes * 60000;
+        if (startMs < earliest) continue;
+        if (!freeAdvisor(cal, startMs, endMs)) continue;
+        out.push({ start: new Date(startMs).toISOString(), end: new Date(endMs).toISOString() });
+      }
+    }
+    return out;
+  }
+
+  // 2–3 concrete options, preferring the customer's stated day/part of day, spread across days
+  function offerSlots(preferenceText = "", { now = Date.now(), exclude = [] } = {}) {
+    const pref = parsePreference(preferenceText);
+    const all = freeSlots(load(), now).filter((s) => !exclude.includes(s.start));
+
+    const matchesPref = (s) => {
+      const d = toLocal(Date.parse(s.start), tzOffsetMin);
+      if (pref.days.length && !pref.days.includes(d.getUTCDay())) return false;
+      if (pref.part === "morning" && d.getUTCHours() >= 13) return false;
+      if (pref.part === "afternoon" && d.getUTCHours() < 13) return false;
+      return true;
+    };
+    const preferred = all.filter(matchesPref);
+    const pool = preferred.length ? preferred : all;
+
+    const picked = [];
+    const seenDays = new Set();
+    for (const s of pool) {
+      const dayKey = s.start.slice(0, 10);
+      if (seenDays.has(dayKey)) continue;
+      seenDays.add(dayKey);
+      picked.push(s);
+      if (picked.length >= maxOffers) break;
+    }
+    for (const s of pool) {
+      if (picked.length >= maxOffers) break;
+      if (!picked.includes(s)) picked.push(s);
+    }
+    picked.sort((a, b) => a.start.localeCompare(b.start));
+    return picked.map((s) => ({ ...s, label: formatSlot(s, tzOffsetMin) }));
+  }
+
+  // Returns the booked event or null if the slot got taken (or already started) in the meantime
+  function book(slot, { phone, name, zone } = {}, { now = Date.now() } = {}) {
+    const cal = load();
+    const startMs = Date.parse(slot.start);
+    const endMs = Date.parse(slot.end);
+    if (!(startMs > now)) return null;
+    const advisor = freeAdvisor(cal, startMs, endMs);
+    if (!advisor) return null;
+
+    const event = {
+      id: crypto.randomBytes(4).toString("hex"),
+      advisorId: advisor.id,
+      advisorName: advisor.name || advisor.id,
+      start: slot.start,
+      end: slot.end,
+      kind: "visit",
+      status: "confirmed",
+      phone: phone || "",
+      name: name || "",
+      zone: zone || "",
+      createdAt: new Date().toISOString(),
+    };
+    cal.events.push(event);
+    save(cal);
+    return { ...event, label: formatSlot(event, tzOffsetMin) };
+  }
+
+  function cancel(eventId) {
+    const cal = load();
+    const ev = cal.events.find((e) => e.id === eventId);
+    if (!ev || ev.status === "cancelled") return null;
+    ev.status = "cancelled";
+    ev.cancelledAt = new Date().toISOString();
+    save(cal);
+    return ev;
+  }
+
+  return {
+    offerSlots,
+    book,
+    cancel,
+    load,
+    formatSlot: (slot) => formatSlot(slot, tzOffsetMin),
+    pickSlotFromReply: (text, slots) => pickSlotFromReply(text, slots, tzOffsetMin),
+  };
+}
+
+module.exports = { createScheduler, parsePreference, pickSlotFromReply, detectAppointmentChange, formatSlot };
@@ -0,0 +1,48 @@
+// lib/sse.js — Server-Sent Events fan-out (operator inbox live updates)
+// - subscribe(req, res) keeps the response open; publish(event, data) writes to every client
+// - A comment ping every heartbeatMs keeps proxies (Render, nginx) from closing idle streams;
+//   the interval only runs while someone is connected
+// - No replay: a client that reconnects reloads its state over plain JSON first
+
+function createSseHub({ heartbeatMs = 25000 } = {}) {
+  const clients = new Set();
+  let heartbeat = null;
+
+  function send(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  function subscribe(req, res) {
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream; charset=utf-8",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.write("retry: 3000\n\n");
+    clients.add(res);
+
+    if (!heartbeat) {
+      heartbeat = setInterval(() => {
+        for (const c of clients) c.write(": ping\n\n");
+      }, heartbeatMs);
+      heartbeat.unref();
+    }
+
+    req.on("close", () => {
+      clients.delete(res);
+      if (!clients.size && heartbeat) {
+        clearInterval(heartbeat);
+        heartbeat = null;
+      }
+    });
+  }
+
+  function publish(event, data) {
+    for (const c of clients) send(c, event, data);
+  }
+
+  return { subscribe, publish, send, size: () => clients.size };
+}
+
+module.exports = { createSseHub };
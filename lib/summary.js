@@ -0,0 +1,115 @@
+// lib/summary.js — rolling conversation summary + advisor brief
+// - The AI sees the last AI_HISTORY_LIMIT messages verbatim; older ones are folded, a batch at a time,
+//   into lead.summary ({ text, upTo, updatedAt }) so long chats don't forget early details
+// - summaryBatch() says what's due: messages that left the window since the last fold (system lines skipped)
+// - The brief is structured (BRIEF_TEXT_FORMAT) and parsed leniently; formatBrief() -> advisor lines
+// Prompts only: the calls themselves go through index.js (timeouts, usage, metrics)
+
+const SUMMARY_INSTRUCTIONS = `
+Resumís conversaciones de WhatsApp entre un cliente y un asistente comercial, para que el asistente no olvide nada.
+Integrá RESUMEN_PREVIO con MENSAJES_NUEVOS en un único resumen actualizado:
+- Qué busca (productos, ambientes, medidas), restricciones (presupuesto, plazos, horarios, zona),
+  dudas u objeciones, datos personales que dio y lo que se le prometió.
+- Si algo cambió, quedate con lo último. No inventes nada.
+- Viñetas cortas, en español, sin saludos. Máximo {maxChars} caracteres.
+Respondé SOLO con el resumen.
+`.trim();
+
+const BRIEF_INSTRUCTIONS = `
+Preparás un brief para el asesor humano que toma esta conversación de WhatsApp.
+Completá con lo que el cliente dijo (nada inventado; "" o [] si no aparece):
+- wants: qué quiere, en 1 línea.
+- constraints: restricciones (presupuesto, plazos, horarios, medidas, zona, accesos).
+- objections: dudas, quejas u objeciones que planteó.
+- rooms: ambientes mencionados (living, dormitorio...).
+- next_step: el próximo paso sugerido para el asesor, en 1 línea.
+Salida: JSON estricto.
+`.trim();
+
+const BRIEF_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  required: ["wants", "constraints", "objections", "rooms", "next_step"],
+  properties: {
+    wants: { type: "string" },
+    constraints: { type: "array", items: { type: "string" } },
+    objections: { type: "array", items: { type: "string" } },
+    rooms: { type: "array", items: { type: "string" } },
+    next_step: { type: "string" },
+  },
+};
+
+// Responses API `text` param
+const BRIEF_TEXT_FORMAT = {
+  format: { type: "json_schema", name: "caia_advisor_brief", schema: BRIEF_SCHEMA, strict: true },
+};
+
+// m -> "Cliente: hola" (same speaker names the decision prompt uses)
+function speaker(m) {
+  if (m.from === "lead") return "Cliente";
+  if (m.from === "bot") return "Asistente";
+  if (m.from === "advisor" || m.from === "agent") return "Asesor";
+  return "Sistema";
+}
+
+// Messages that left the recent window and aren't in the summary yet.
+// -> { messages, upTo } when at least `batch` of them are waiting, null otherwise
+function summaryBatch(lead, { window, batch }) {
+  const all = lead?.messages || [];
+  const upTo = Math.max(0, all.length - window);
+  const from = Math.min(lead?.summary?.upTo || 0, upTo);
+  const messages = all.slice(from, upTo).filter((m) => m.from !== "system");
+  if (messages.length < batch) return null;
+  return { messages, upTo };
+}
+
+function summaryInstructions(maxChars) {
+  return SUMMARY_INSTRUCTIONS.replace("{maxChars}", String(maxChars));
+}
+
+const asStrings = (v) =>
+  (Array.isArray(v) ? v : [])
+    .map((s) => String(s ?? "").trim())
+    .filter(Boolean)
+    .slice(0, 8);
+
+// Model text -> { wants, constraints, objections, rooms, next_step }, or null when nothing usable came back
+function parseBrief(rawText) {
+  let parsed;
+  try {
+    const text = String(rawText || "").trim();
+    parsed = JSON.parse(text.slice(text.indexOf("{"), text.lastIndexOf("}") + 1));
+  } catch {
+    return null;
+  }
+  const brief = {
+    wants: String(parsed?.wants ?? "").trim(),
+    constraints: asStrings(parsed?.constraints),
+    objections: asStrings(parsed?.objections),
+    rooms: asStrings(parsed?.rooms),
+    next_step: String(parsed?.next_step ?? "").trim(),
+  };
+  return brief.wants || brief.next_step ? brief : null;
+}
+
+function formatBrief(brief) {
+  const list = (items) => (items.length ? items.join("; ") : "—");
+  return [
+    "Brief:",
+    `- Quiere: ${brief.wants || "—"}`,
+    `- Restricciones: ${list(brief.constraints)}`,
+    `- Objeciones: ${list(brief.objections)}`,
+    `- Ambientes: ${list(brief.rooms)}`,
+    `- Próximo paso: ${brief.next_step || "—"}`,
+  ];
+}
+
+module.exports = {
+  BRIEF_INSTRUCTIONS,
+  BRIEF_TEXT_FORMAT,
+  formatBrief,
+  parseBrief,
+  speaker,
+  summaryBatch,
+  summaryInstructions,
+};
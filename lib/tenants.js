@@ -0,0 +1,73 @@
+// lib/tenants.js — several stores/brands served from one deployment
+// Tenants file (config/tenants.json, see config/tenants.example.json):
+// {
+//   "default": "cortinas",
+//   "tenants": [{ "id": "cortinas", "from": "whatsapp:+1415...", "brand": "Cortinas Argentinas", "botName": "Caia",
+//                 "facts": ["Showroom: ..."], "handoffTo": "whatsapp:+549...", "routingFile": "config/advisors.json",
+//                 "models": { "fast": "gpt-5-mini", "smart": "gpt-5" },
+//                 "handoffFields": { "price": ["intentSummary", "name", "zone"], "visit": [...] },
+//                 "qualificationFile": "config/qualification-toldos.json", "knowledgeDir": "knowledge-toldos",
+//                 "pricesFile": "config/prices-toldos.json", "calendarFile": "data/calendar-toldos.json",
+//                 "texts": { "optOut": "...", "optIn": "...", "fallback": "...", "fallbackAsk": "... {ask}?" } }]
+// }
+// - The inbound To number picks the tenant; an unknown number goes to the default one
+// - handoffFields overrides the required fields of the qualification flow (lib/qualification) per type
+// - texts overrides the canned replies (BAJA/ALTA confirmations, AI-outage fallback) one key at a time
+// - Catalog (knowledgeDir), price table (pricesFile) and visit calendar (calendarFile) are per tenant too;
+//   tenants pointing at the same path share it (and share bookings, for a calendar)
+// - Missing keys fall back to the single-business config, so a tenant can be just { id, from, brand }
+// - No file -> one tenant built from that config (id "default"): a single store works as before
+// - Opt-outs (BAJA) stay per phone across tenants: the safe reading of "don't write to me again"
+// - Re-read when the file changes
+
+const fs = require("fs");
+
+const digits = (s) => String(s || "").replace(/\D/g, "");
+
+// defaults: { id, from, brand, botName, facts, handoffTo, routingFile, models: { fast, smart }, qualificationFile,
+//             knowledgeDir, pricesFile, calendarFile, texts }
+function createTenantRegistry({ file, defaults }) {
+  let cached = null;
+  let mtime = 0;
+
+  const single = { tenants: [defaults], default: defaults.id };
+
+  function withDefaults(t) {
+    return {
+      ...defaults,
+      ...t,
+      models: { ...defaults.models, ...(t.models || {}) },
+      handoffFields: { ...defaults.handoffFields, ...(t.handoffFields || {}) },
+      texts: { ...defaults.texts, ...(t.texts || {}) },
+    };
+  }
+
+  function load() {
+    if (!file || !fs.existsSync(file)) return single;
+    const m = fs.statSync(file).mtimeMs;
+    if (cached && m === mtime) return cached;
+    try {
+      const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+      const tenants = (raw.tenants || []).filter((t) => t.id).map(withDefaults);
+      cached = tenants.length ? { tenants, default: raw.default || tenants[0].id } : single;
+      mtime = m;
+    } catch (e) {
+      console.error("tenants: failed to load", file, e?.message || e);
+    }
+    return cached || single;
+  }
+
+  const list = () => load().tenants;
+  const byId = (id) => list().find((t) => t.id === id) || null;
+  const defaultTenant = () => byId(load().default) || list()[0];
+
+  // Inbound "To" (whatsapp:+1415...) -> tenant
+  function resolve(to) {
+    const d = digits(to);
+    return (d && list().find((t) => digits(t.from) === d)) || defaultTenant();
+  }
+
+  return { resolve, byId, list, defaultTenant, isDefault: (t) => t?.id === defaultTenant().id };
+}
+
+module.exports = { createTenantRegistry };
@@ -0,0 +1,15 @@
+// lib/text.js — small text helpers shared by the keyword/free-text parsers
+
+// "Medición" -> "Medicion"
+function stripAccents(s) {
+  return String(s || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "");
+}
+
+// Lowercase + no accents, for keyword matching
+function normalizeText(s) {
+  return stripAccents(s).toLowerCase().trim();
+}
+
+module.exports = { stripAccents, normalizeText };
@@ -0,0 +1,85 @@
+// lib/twilioWebhook.js — inbound webhook guards
+// - X-Twilio-Signature validation (rejects forged POSTs)
+// - MessageSid dedupe (Twilio retries webhooks on slow/failed responses)
+
+const fs = require("fs");
+const path = require("path");
+const twilio = require("twilio");
+
+// Twilio signs the exact public URL it called. Behind Render/ngrok the app sees
+// http + internal host, so prefer an explicit PUBLIC_BASE_URL when available.
+function publicUrlFor(req, publicBaseUrl) {
+  if (publicBaseUrl) return publicBaseUrl.replace(/\/+$/, "") + req.originalUrl;
+  const proto = String(req.headers["x-forwarded-proto"] || req.protocol || "https").split(",")[0].trim();
+  return `${proto}://${req.get("host")}${req.originalUrl}`;
+}
+
+function createSignatureValidator({ authToken, enabled, publicBaseUrl }) {
+  return function isValidSignature(req) {
+    if (!enabled) return true;
+    if (!authToken) return false;
+    const signature = String(req.headers["x-twilio-signature"] || "");
+    if (!signature) return false;
+    return twilio.validateRequest(authToken, signature, publicUrlFor(req, publicBaseUrl), req.body || {});
+  };
+}
+
+// In-memory seen-set with TTL. Seeded on boot from persisted messages so a
+// retry that lands right after a restart is still caught.
+// file: the set is also written there (coalesced, async, every flushMs) and read back on boot, which covers
+// inbound that is never recorded on a lead (rate-limited, muted)
+function createSidDedupe({ ttlMs = 6 * 60 * 60 * 1000, maxSize = 20000, file = "", flushMs = 1000 } = {}) {
+  const seen = new Map(); // sid -> seenAt (ms), oldest first
+  let timer = null;
+  let writing = Promise.resolve();
+
+  if (file && fs.existsSync(file)) {
+    try {
+      const saved = JSON.parse(fs.readFileSync(file, "utf8"));
+      for (const [sid, at] of saved.sort((a, b) => a[1] - b[1])) seen.set(sid, at);
+    } catch (e) {
+      console.error("sid dedupe file unreadable, starting empty:", e?.message || e);
+    }
+  }
+
+  function prune(now) {
+    for (const [sid, at] of seen) {
+      if (now - at <= ttlMs && seen.size <= maxSize) break;
+      seen.delete(sid);
+    }
+  }
+
+  function flush() {
+    clearTimeout(timer);
+    timer = null;
+    if (!file) return writing;
+    const data = JSON.stringify([...seen]);
+    writing = writing
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.writeFile(`${file}.tmp`, data, "utf8");
+        await fs.promises.rename(`${file}.tmp`, file);
+      })
+      .catch((e) => console.error("sid dedupe save error:", e?.message || e));
+    return writing;
+  }
+
+  return {
+    // Returns true if sid was already seen (and records it otherwise)
+    checkAndRemember(sid, at = Date.now()) {
+      if (!sid) return false;
+      prune(at);
+      if (seen.has(sid)) return true;
+      seen.set(sid, at);
+      if (file && !timer) {
+        timer = setTimeout(flush, flushMs);
+        timer.unref?.();
+      }
+      return false;
+    },
+    flush,
+    size: () => seen.size,
+  };
+}
+
+module.exports = { createSignatureValidator, createSidDedupe, publicUrlFor };
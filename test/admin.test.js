@@ -0,0 +1,89 @@
+// Admin API against the app with fake OpenAI/Twilio (see harness.js)
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const request = require("supertest");
+const { createHarness, DEFAULT_PHONE } = require("./harness");
+
+const TOKEN = "admin-test";
+const phone = DEFAULT_PHONE;
+const admin = (h, path) =>
+  request(h.app)
+    .post(`/admin/leads/${encodeURIComponent(phone)}${path}`)
+    .set("x-debug-token", TOKEN);
+
+async function withLead(fn) {
+  const h = createHarness({ DEBUG_TOKEN: TOKEN });
+  try {
+    h.openai.script([{ reply: "Hola 👋 ¿Qué estás buscando?" }]);
+    await h.send(phone, "hola");
+    await fn(h, h.leads[phone]);
+  } finally {
+    h.cleanup();
+  }
+}
+
+test("manual message: a failed send answers 502 and isn't recorded as sent", async () => {
+  await withLead(async (h, lead) => {
+    const create = h.twilio.messages.create;
+    h.twilio.messages.create = async () => {
+      throw new Error("twilio_down");
+    };
+    const failed = await admin(h, "/messages").send({ text: "Hola, soy Marta" });
+    assert.strictEqual(failed.status, 502);
+    assert.strictEqual(failed.body.error, "twilio_down");
+    assert.ok(!lead.messages.some((m) => m.from === "agent"));
+    assert.ok(lead.messages.some((m) => m.text.startsWith("ADMIN_SEND_FAILED")));
+
+    h.twilio.messages.create = create;
+    const sent = await admin(h, "/messages").send({ text: "Hola, soy Marta" });
+    assert.strictEqual(sent.status, 200);
+    assert.strictEqual(lead.messages.filter((m) => m.from === "agent").length, 1);
+  });
+});
+
+test("closed lead: messages are recorded without a bot reply until reopened", async () => {
+  await withLead(async (h, lead) => {
+    assert.strictEqual((await admin(h, "/close").send({})).status, 200);
+    const out = await h.send(phone, "hola? sigue abierto?");
+    assert.deepStrictEqual(out, []);
+    assert.strictEqual(h.openai.calls.length, 1);
+    assert.ok(lead.messages.some((m) => m.text === "CLOSED: mensaje registrado sin respuesta"));
+
+    assert.strictEqual((await admin(h, "/reopen").send({})).status, 200);
+    h.openai.script([{ reply: "¡Sí! ¿En qué te ayudo?" }]);
+    const again = await h.send(phone, "hola?");
+    assert.strictEqual(again[0]?.body, "¡Sí! ¿En qué te ayudo?");
+  });
+});
+
+test("wipe: a burst still being typed is dropped and the handoff snapshots are deleted", async () => {
+  const h = createHarness({ DEBUG_TOKEN: TOKEN, INBOUND_DEBOUNCE_MS: "100" });
+  try {
+    h.seed(phone, { name: "Ana", zone: "Funes", intentSummary: "roller para living" });
+    h.openai.script([{ reply: "¡Listo! Te paso con un asesor.", handoff_intent: "price" }]);
+    await h.send(phone, "quiero presupuesto");
+    const snapshots = () => fs.readdirSync(path.join(h.tmp, "leads")).filter((f) => f.includes("5493410000001"));
+    assert.strictEqual(snapshots().length, 1);
+
+    // Buffered, not answered yet
+    await request(h.app)
+      .post("/whatsapp")
+      .type("form")
+      .send({ From: `whatsapp:${phone}`, Body: "¿y el envío?" });
+    const sent = h.twilio.sent.length;
+    await request(h.app)
+      .delete(`/admin/leads/${encodeURIComponent(phone)}`)
+      .set("x-debug-token", TOKEN)
+      .expect(200);
+    await new Promise((r) => setTimeout(r, 250));
+
+    assert.strictEqual(h.leads[phone], undefined);
+    assert.strictEqual(h.twilio.sent.length, sent);
+    assert.deepStrictEqual(snapshots(), []);
+    assert.ok(!fs.existsSync(path.join(h.tmp, "conversations", "5493410000001.txt")));
+  } finally {
+    h.cleanup();
+  }
+});
@@ -0,0 +1,11 @@
+// Replays every script in test/conversations against the app with fake OpenAI/Twilio
+const test = require("node:test");
+const assert = require("node:assert");
+const { runScript, loadScripts } = require("./harness");
+
+for (const { file, script } of loadScripts()) {
+  test(`${file}: ${script.name || ""}`, async () => {
+    const { failures, transcript } = await runScript(script);
+    assert.deepStrictEqual(failures, [], `\n${transcript.join("\n")}`);
+  });
+}
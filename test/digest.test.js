@@ -0,0 +1,39 @@
+// Held advisor notifications (lib/digest.js): digest chunking and putting unsent items back
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createNotificationQueue, buildDigest, MAX_BODY } = require("../lib/digest");
+
+const item = (n, size = 10) => ({ to: "whatsapp:+1", text: `#${n} ${"x".repeat(size)}`, ref: `R${n}`, tenant: "" });
+
+test("each digest message lists the items it carries, none split, all under the body limit", () => {
+  const items = [item(1, 900), item(2, 900), item(3, 20)];
+  const chunks = buildDigest(items, { title: "Cerrados" });
+
+  assert.deepStrictEqual(
+    chunks.map((c) => c.items.map((it) => it.ref)),
+    [["R1"], ["R2", "R3"]]
+  );
+  assert.ok(chunks[0].body.startsWith("Cerrados (3)"));
+  assert.ok(chunks.every((c) => c.body.length <= MAX_BODY));
+  for (const c of chunks) for (const it of c.items) assert.ok(c.body.includes(it.text));
+});
+
+test("putBack re-queues drained items as they were and persists them", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "caia-digest-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "held.json");
+
+  const queue = createNotificationQueue({ file });
+  queue.add("whatsapp:+1", "uno", { ref: "R1" });
+  queue.add("whatsapp:+1", "dos", { ref: "R2" });
+  const [, second] = queue.drain()["whatsapp:+1"];
+  assert.strictEqual(queue.size(), 0);
+
+  // The first message went out, the second failed
+  queue.putBack([second]);
+  const reloaded = createNotificationQueue({ file });
+  assert.deepStrictEqual(reloaded.all(), [second]);
+});
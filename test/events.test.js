@@ -0,0 +1,105 @@
+// Outbound webhooks: signing, retry/backoff and the on-disk outbox (fetch is stubbed, no network)
+const test = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createEventBus, parseWebhookList, sign } = require("../lib/events");
+
+const URL = "https://crm.example/hook";
+
+// Replaces global fetch for one test: respond(call) -> { ok, status }
+function stubFetch(t, respond = () => ({ ok: true, status: 200 })) {
+  const calls = [];
+  const original = global.fetch;
+  global.fetch = async (url, init) => {
+    calls.push({ url, ...init });
+    return respond(calls.at(-1));
+  };
+  t.after(() => {
+    global.fetch = original;
+  });
+  return calls;
+}
+
+function tmpFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "caia-events-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, "outbox.json");
+}
+
+test("deliveries are signed over timestamp + body", async (t) => {
+  const calls = stubFetch(t);
+  const bus = createEventBus({ outboxFile: null, webhooks: [{ url: URL, secret: "s3cret" }] });
+
+  const event = bus.emit("lead.created", { lead: { phone: "+5493410000001" } });
+  await bus.flush();
+
+  assert.strictEqual(calls.length, 1);
+  const { headers, body } = calls[0];
+  const expected = crypto.createHmac("sha256", "s3cret").update(`${headers["X-Caia-Timestamp"]}.${body}`);
+  assert.strictEqual(headers["X-Caia-Signature"], `sha256=${expected.digest("hex")}`);
+  assert.strictEqual(headers["X-Caia-Signature"], sign("s3cret", headers["X-Caia-Timestamp"], body));
+  assert.strictEqual(headers["X-Caia-Event"], "lead.created");
+  assert.deepStrictEqual(JSON.parse(body), event);
+  assert.deepStrictEqual(bus.stats(), { emitted: 1, delivered: 1, retried: 0, failed: 0, pending: 0 });
+});
+
+test("no secret, no signature header", async (t) => {
+  const calls = stubFetch(t);
+  const bus = createEventBus({ outboxFile: null, webhooks: parseWebhookList(URL) });
+  bus.emit("lead.created", {});
+  await bus.flush();
+  assert.strictEqual(calls[0].headers["X-Caia-Signature"], undefined);
+});
+
+test("failures back off exponentially, then stay in the outbox as failed", async (t) => {
+  const calls = stubFetch(t, () => ({ ok: false, status: 503 }));
+  const bus = createEventBus({ outboxFile: null, webhooks: [{ url: URL }], maxAttempts: 3, baseMs: 1000 });
+
+  const startedAt = Date.now();
+  bus.emit("lead.handed_off", {});
+  await bus.flush();
+  let [item] = bus.outbox();
+  assert.strictEqual(item.attempts, 1);
+  assert.strictEqual(item.lastError, "http_503");
+  assert.ok(item.nextAt >= startedAt + 1000 && item.nextAt <= Date.now() + 1000);
+
+  // Not due yet: nothing is sent
+  await bus.flush(item.nextAt - 1);
+  assert.strictEqual(calls.length, 1);
+
+  await bus.flush(item.nextAt);
+  [item] = bus.outbox();
+  assert.strictEqual(item.attempts, 2);
+  assert.ok(item.nextAt >= startedAt + 2000, "second delay doubles");
+
+  await bus.flush(item.nextAt);
+  [item] = bus.outbox();
+  assert.strictEqual(item.status, "failed");
+  assert.strictEqual(calls.length, 3);
+  assert.deepStrictEqual(bus.stats(), { emitted: 1, delivered: 0, retried: 2, failed: 1, pending: 0 });
+});
+
+test("the outbox survives a restart and is delivered on the next flush", async (t) => {
+  const file = tmpFile(t);
+  let up = false;
+  const calls = stubFetch(t, () => (up ? { ok: true, status: 200 } : { ok: false, status: 500 }));
+  const webhooks = [{ url: URL, secret: "s" }];
+
+  const before = createEventBus({ outboxFile: file, webhooks, baseMs: 1000 });
+  const event = before.emit("lead.field_captured", { field: "name", value: "Ana" });
+  await before.flush();
+  assert.strictEqual(JSON.parse(fs.readFileSync(file, "utf8")).length, 1);
+
+  up = true;
+  const after = createEventBus({ outboxFile: file, webhooks, baseMs: 1000 });
+  assert.strictEqual(after.stats().pending, 1);
+  await after.flush(Date.now() + 1000);
+
+  assert.strictEqual(calls.length, 2);
+  assert.deepStrictEqual(JSON.parse(calls[1].body), event);
+  assert.deepStrictEqual(after.outbox(), []);
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(file, "utf8")), []);
+});
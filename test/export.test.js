@@ -0,0 +1,65 @@
+// Lead export: CSV escaping/formula guard, and /admin/leads.csv|json against the app
+const test = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const request = require("supertest");
+const { csvCell, toCsv, leadExportColumns, LEAD_EXPORT_COLUMNS } = require("../lib/export");
+const { createHarness, DEFAULT_PHONE } = require("./harness");
+
+test("csvCell quotes RFC 4180 style and defuses formulas", () => {
+  assert.strictEqual(csvCell("Ana"), "Ana");
+  assert.strictEqual(csvCell('dijo "hola", chau'), '"dijo ""hola"", chau"');
+  assert.strictEqual(csvCell({ low: 1 }), '"{""low"":1}"');
+  assert.strictEqual(csvCell(null), "");
+  for (const s of ["=1+1", "+SUM(A1)", "-2+3", "@cmd", "\tx", "\rx"]) {
+    assert.ok(csvCell(s).replace(/^"/, "").startsWith("'"), `${JSON.stringify(s)} -> ${csvCell(s)}`);
+  }
+  // Numbers can't run: phones and negatives stay usable
+  assert.strictEqual(csvCell("+5493410000001"), "+5493410000001");
+  assert.strictEqual(csvCell("-2"), "-2");
+});
+
+test("toCsv: header row + CRLF lines", () => {
+  const csv = toCsv([{ phone: "+1", name: "=HYPERLINK(x)" }], ["phone", "name"]);
+  assert.strictEqual(csv, "phone,name\r\n+1,'=HYPERLINK(x)\r\n");
+});
+
+test("/admin/leads.csv and .json export every lead", async (t) => {
+  const h = createHarness({ DEBUG_TOKEN: "t" });
+  t.after(() => h.cleanup());
+  h.openai.script([{ reply: "¡Hola Ana!", name: "=Ana", zone: "Funes" }]);
+  await h.send(DEFAULT_PHONE, "hola soy Ana de Funes");
+
+  const csv = await request(h.app).get("/admin/leads.csv").set("x-debug-token", "t").expect(200);
+  assert.match(csv.headers["content-type"], /^text\/csv/);
+  const [header, row] = csv.text.replace(/^\uFEFF/, "").trim().split("\r\n");
+  assert.strictEqual(header, LEAD_EXPORT_COLUMNS.join(","));
+  const cells = row.split(",");
+  assert.strictEqual(cells[0], DEFAULT_PHONE);
+  assert.strictEqual(cells[LEAD_EXPORT_COLUMNS.indexOf("name")], "'=Ana");
+  assert.strictEqual(cells[LEAD_EXPORT_COLUMNS.indexOf("zone")], "Funes");
+
+  const json = await request(h.app).get("/admin/leads.json").set("x-debug-token", "t").expect(200);
+  assert.strictEqual(json.body.count, 1);
+  assert.strictEqual(json.body.leads[0].name, "=Ana");
+  assert.strictEqual(json.body.leads[0].status, "open");
+
+  const none = await request(h.app).get("/admin/leads.json?tenant=otro").set("x-debug-token", "t").expect(200);
+  assert.strictEqual(none.body.count, 0);
+  await request(h.app).get("/admin/leads.csv").set("x-debug-token", "wrong").expect(401);
+});
+
+test("a flow's extra fields get their own CSV column", async (t) => {
+  const flowFile = path.join(__dirname, "fixtures", "qualification.json"); // name, intentSummary, email
+  const h = createHarness({ DEBUG_TOKEN: "t", QUALIFICATION_FILE: flowFile });
+  t.after(() => h.cleanup());
+  h.openai.script([{ reply: "¡Gracias Ana!", name: "Ana", email: "ana@mail.com" }]);
+  await h.send(DEFAULT_PHONE, "soy Ana, ana@mail.com");
+
+  const columns = leadExportColumns(["name", "intentSummary", "email"]);
+  assert.strictEqual(columns.indexOf("email"), columns.indexOf("availability") + 1);
+  const csv = await request(h.app).get("/admin/leads.csv").set("x-debug-token", "t").expect(200);
+  const [header, row] = csv.text.replace(/^\uFEFF/, "").trim().split("\r\n");
+  assert.strictEqual(header, columns.join(","));
+  assert.strictEqual(row.split(",")[columns.indexOf("email")], "ana@mail.com");
+});
@@ -0,0 +1,48 @@
+// Follow-up nudges follow the lead's qualification flow (fields, order, questions)
+const test = require("node:test");
+const assert = require("node:assert");
+const { isStalled, nudgeText } = require("../lib/followups");
+const { DEFAULT_FLOW, compileFlow } = require("../lib/qualification");
+const customFlow = require("./fixtures/qualification.json");
+
+const flow = compileFlow(DEFAULT_FLOW);
+const claims = compileFlow(customFlow);
+const cfg = { delaysMin: [30], maxAttempts: 1 };
+const ago = (min) => new Date(Date.now() - min * 60000).toISOString();
+
+function lead(state = {}) {
+  return {
+    name: "",
+    zone: "",
+    intentSummary: "",
+    messages: [
+      { ts: ago(60), from: "lead", text: "hola" },
+      { ts: ago(45), from: "bot", text: "¿Qué estás buscando?" },
+    ],
+    ...state,
+  };
+}
+
+test("stalled only while the flow still needs something", () => {
+  assert.strictEqual(isStalled(lead(), Date.now(), { ...cfg, flow }), true);
+  const complete = lead({ name: "Ana", zone: "Funes", intentSummary: "roller" });
+  assert.strictEqual(isStalled(complete, Date.now(), { ...cfg, flow }), false);
+  assert.strictEqual(isStalled(lead({ messages: lead().messages.slice(0, 1) }), Date.now(), { ...cfg, flow }), false);
+});
+
+test("the nudge asks the next missing field with the flow's wording", () => {
+  assert.strictEqual(nudgeText(lead(), flow), "Hola 👋 ¿Seguimos? Contame qué estás buscando (en 1 frase) y te ayudo.");
+  assert.strictEqual(
+    nudgeText(lead({ name: "Ana", intentSummary: "roller", pendingHandoff: { type: "price" } }), flow),
+    "Hola Ana 👋 Para pasarte con el asesor solo me falta tu zona/barrio. ¿Me lo decís?"
+  );
+});
+
+test("a custom flow's own fields drive the nudge", () => {
+  const l = lead({ name: "Ana", intentSummary: "reclamo", pendingHandoff: { type: "claim" } });
+  assert.strictEqual(isStalled(l, Date.now(), { ...cfg, flow: claims }), true);
+  assert.strictEqual(
+    nudgeText(l, claims),
+    "Hola Ana 👋 Para pasarte con el asesor solo me falta el email con el que hiciste la compra. ¿Me lo decís?"
+  );
+});
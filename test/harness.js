@@ -0,0 +1,365 @@
+// test/harness.js — offline conversation simulator
+// Loads index.js with local fakes for OpenAI and Twilio (no network, no port, no timers),
+// replays scripted conversations against POST /whatsapp and checks what the bot did.
+//
+// Script format (test/conversations/*.json):
+// {
+//   "name": "...",
+//   "env": { "AI_TIMEOUT_MAIN": "50" },            // optional overrides
+//   "phone": "+5493410000001",                      // optional
+//   "lead": { "name": "Ana" },                      // optional preset state
+//   "advisor": "whatsapp:+549...",                  // optional: number "handoff" checks look at
+//   "to": "whatsapp:+549...",                       // optional: our number they write to (picks the tenant)
+//   "leadKey": "toldos:+549...",                    // optional: lead to check, for a non-default tenant
+//   "steps": [{
+//     "wait": 250,                                  // optional: ms to let pass before sending
+//     "send": "quiero precio",                      // customer message (or "body": {...} raw Twilio params)
+//                                                   // an array sends a burst, settling only after the last one
+//     "ai": [{ "reply": "...", "handoff_intent": "price" }, "timeout"],  // one output per AI call, in order
+//     "expect": {
+//       "reply": "substring" | ["a", "b"],          // text sent to the customer in this step
+//       "noReply": true,
+//       "lead": { "name": "Ana" },                  // partial match on lead fields
+//       "pendingHandoff": "price" | null,
+//       "handedOff": true,
+//       "handoff": "substring" | false,             // message to HANDOFF_TO in this step (false = none)
+//       "handoffExcludes": "substring" | ["a"],     // ...and what it must not contain
+//       "aiInput": "substring" | ["a", "b"],        // prompt input sent to the model in this step
+//       "aiInputExcludes": "substring" | ["a"],     // ...and what it must not contain
+//       "aiCalls": 0,                               // number of model calls in this step
+//       "log": "substring" | ["a", "b"]             // system lines added to the lead in this step
+//     }
+//   }]
+// }
+// AI outputs: a (partial) decision object, "timeout" (never resolves), "error" (throws),
+// or { "raw": "..." } for the literal model text.
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const request = require("supertest");
+
+const ROOT = path.join(__dirname, "..");
+const ADVISOR = "whatsapp:+5493410000000";
+const DEFAULT_PHONE = "+5493410000001";
+
+const BASE_ENV = {
+  DEV_MODE: "false", // outbound goes to the fake Twilio client so it can be asserted on
+  TWILIO_VALIDATE_SIGNATURE: "false",
+  FAST_ACK: "true",
+  HANDOFF_TO: ADVISOR,
+  LEAD_STORE: "memory",
+  FOLLOWUP_ENABLED: "false",
+  MEDIA_TRANSCRIBE: "false",
+  AFTER_HOURS_ENABLED: "false", // scripts must not depend on the clock; 10-after-hours uses a fixture calendar
+  AI_TIMEOUT_MAIN: "60",
+  AI_TIMEOUT_RETRY: "60",
+  AI_BACKOFF_MS: "1",
+  INBOUND_DEBOUNCE_MS: "0", // one turn per step; 12-debounce turns it on
+  SUMMARY_ENABLED: "false", // extra AI calls would eat the scripted outputs; 15-summary turns them on
+  ADVISOR_BRIEF_ENABLED: "false",
+  LLM_BREAKER_FAILURES: "1000", // timeouts across steps must not trip it; 16-circuit-breaker sets its own
+  OPENAI_API_KEY: "sk-test",
+  TWILIO_ACCOUNT_SID: "ACtest",
+  TWILIO_AUTH_TOKEN: "test",
+};
+
+const asList = (v) => (Array.isArray(v) ? v : [v]);
+
+function fullDecision(partial) {
+  return {
+    reply: "",
+    name: "",
+    zone: "",
+    intentSummary: "",
+    availability: "",
+    handoff_intent: "none",
+    corrections: [],
+    opt_out: false,
+    quoteItems: [],
+    ...partial,
+  };
+}
+
+function createFakeOpenAI() {
+  const queue = [];
+  const calls = [];
+
+  return {
+    calls,
+    script(outputs) {
+      queue.push(...outputs);
+    },
+    pending: () => queue.length,
+    reset() {
+      queue.length = 0;
+    },
+    responses: {
+      async create(params) {
+        calls.push(params);
+        if (!queue.length) throw new Error("fake_openai: no scripted output left");
+        const next = queue.shift();
+        if (next === "timeout") return new Promise(() => {});
+        if (next === "error") throw new Error("fake_openai_error");
+        if (next && typeof next.raw === "string") return { output_text: next.raw };
+        return { output_text: JSON.stringify(fullDecision(next)) };
+      },
+    },
+    audio: {
+      transcriptions: {
+        async create() {
+          return { text: "" };
+        },
+      },
+    },
+  };
+}
+
+function createFakeTwilio() {
+  const sent = [];
+  return {
+    sent,
+    messages: {
+      async create(params) {
+        const msg = { sid: `SMfake${sent.length + 1}`, ...params };
+        sent.push(msg);
+        return msg;
+      },
+    },
+  };
+}
+
+// Fresh copy of the app with its own temp dirs and env
+function createHarness(envOverrides = {}) {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "caia-sim-"));
+  const env = {
+    ...BASE_ENV,
+    CONV_DIR: path.join(tmp, "conversations"),
+    LEADS_DIR: path.join(tmp, "leads"),
+    LEAD_STORE_DIR: path.join(tmp, "store"),
+    CALENDAR_FILE: path.join(tmp, "calendar.json"),
+    CONSENT_FILE: path.join(tmp, "consent.json"),
+    DEDUPE_FILE: path.join(tmp, "seen-sids.json"),
+    ROUTING_FILE: path.join(tmp, "advisors.json"), // none: everything goes to HANDOFF_TO
+    TENANTS_FILE: path.join(tmp, "tenants.json"), // none: one tenant, as before
+    QUALIFICATION_FILE: path.join(tmp, "qualification.json"), // none: built-in flow
+    EVENT_OUTBOX_FILE: path.join(tmp, "outbox.json"),
+    HELD_NOTIFICATIONS_FILE: path.join(tmp, "held-notifications.json"),
+    METRICS_FILE: path.join(tmp, "metrics-daily.json"),
+    ...envOverrides,
+  };
+
+  const saved = {};
+  for (const [k, v] of Object.entries(env)) {
+    saved[k] = process.env[k];
+    process.env[k] = v;
+  }
+  const entry = require.resolve(path.join(ROOT, "index.js"));
+  delete require.cache[entry];
+  let mod;
+  try {
+    mod = require(entry);
+  } finally {
+    for (const [k, v] of Object.entries(saved)) {
+      if (v === undefined) delete process.env[k];
+      else process.env[k] = v;
+    }
+  }
+
+  const openai = createFakeOpenAI();
+  const twilio = createFakeTwilio();
+  mod.setClients({ openai, client: twilio });
+
+  let sidCounter = 0;
+
+  // App logs are noise in test output; SIM_VERBOSE=1 shows them
+  async function quietly(fn) {
+    if (process.env.SIM_VERBOSE) return fn();
+    const orig = { log: console.log, warn: console.warn, error: console.error };
+    console.log = console.warn = console.error = () => {};
+    try {
+      return await fn();
+    } finally {
+      Object.assign(console, orig);
+    }
+  }
+
+  // Waits until every lead with this phone (one per tenant) is idle
+  async function settle(phone) {
+    for (const lead of Object.values(mod.leads).filter((l) => l.phone === phone)) {
+      let q;
+      do {
+        while (lead._debounce) await new Promise((r) => setTimeout(r, 5));
+        q = lead._queue;
+        await q;
+      } while (q !== lead._queue || lead._debounce);
+    }
+  }
+
+  return {
+    app: mod.app,
+    leads: mod.leads,
+    openai,
+    twilio,
+    advisor: ADVISOR,
+    tmp,
+
+    // Boots like production (rehydrate from the lead store, seed the dedupe set) on a free port
+    async start() {
+      return quietly(async () => mod.start(0));
+    },
+
+    // Writes what's still pending (lead store, seen MessageSids), as a shutdown would
+    flush: () => mod.flushState(),
+
+    seed(phone, state) {
+      Object.assign(mod.getLead(phone), state);
+    },
+
+    // Posts one inbound message (or a burst, for an array) and waits until the lead's queue is idle.
+    // Returns the outbound messages produced by this step.
+    async send(phone, text, extraBody = {}) {
+      const before = twilio.sent.length;
+      await quietly(async () => {
+        for (const t of asList(text)) {
+          await request(mod.app)
+            .post("/whatsapp")
+            .type("form")
+            .send({ From: `whatsapp:${phone}`, Body: t, MessageSid: `SMsim${++sidCounter}`, ...extraBody })
+            .expect(200);
+        }
+        await settle(phone);
+      });
+      return twilio.sent.slice(before);
+    },
+
+    cleanup() {
+      fs.rmSync(tmp, { recursive: true, force: true });
+    },
+  };
+}
+
+// ---- script runner ----
+
+function checkStep({ i, expect = {}, out, lead, phone, advisor, aiCalls = [], newMessages = [] }) {
+  const failures = [];
+  const tag = `step ${i + 1}`;
+  const toCustomer = out.filter((m) => m.to === `whatsapp:${phone}`).map((m) => m.body || "");
+  const toAdvisor = out.filter((m) => m.to === advisor).map((m) => m.body || "");
+
+  if (expect.reply !== undefined) {
+    const text = toCustomer.join("\n");
+    for (const s of asList(expect.reply)) {
+      if (!text.includes(s)) failures.push(`${tag}: reply missing "${s}" (got: ${JSON.stringify(toCustomer)})`);
+    }
+  }
+  if (expect.noReply && toCustomer.length)
+    failures.push(`${tag}: expected no reply, got ${JSON.stringify(toCustomer)}`);
+
+  for (const [k, v] of Object.entries(expect.lead || {})) {
+    if (JSON.stringify(lead?.[k]) !== JSON.stringify(v)) {
+      failures.push(`${tag}: lead.${k} = ${JSON.stringify(lead?.[k])}, expected ${JSON.stringify(v)}`);
+    }
+  }
+  if (expect.pendingHandoff !== undefined) {
+    const got = lead?.pendingHandoff?.type ?? null;
+    if (got !== expect.pendingHandoff)
+      failures.push(`${tag}: pendingHandoff ${got}, expected ${expect.pendingHandoff}`);
+  }
+  if (expect.handedOff !== undefined && Boolean(lead?.handedOff) !== expect.handedOff) {
+    failures.push(`${tag}: handedOff ${Boolean(lead?.handedOff)}, expected ${expect.handedOff}`);
+  }
+  if (expect.handoff === false && toAdvisor.length) {
+    failures.push(`${tag}: expected no advisor message, got ${JSON.stringify(toAdvisor)}`);
+  } else if (expect.handoff !== undefined && expect.handoff !== false) {
+    const text = toAdvisor.join("\n");
+    for (const s of asList(expect.handoff)) {
+      if (!text.includes(s)) failures.push(`${tag}: handoff missing "${s}" (got: ${JSON.stringify(toAdvisor)})`);
+    }
+  }
+  if (expect.handoffExcludes !== undefined) {
+    const text = toAdvisor.join("\n");
+    for (const s of asList(expect.handoffExcludes)) {
+      if (text.includes(s)) failures.push(`${tag}: handoff should not contain "${s}"`);
+    }
+  }
+  if (expect.aiCalls !== undefined && aiCalls.length !== expect.aiCalls) {
+    failures.push(`${tag}: ${aiCalls.length} AI call(s), expected ${expect.aiCalls}`);
+  }
+  if (expect.log !== undefined) {
+    const text = newMessages
+      .filter((m) => m.from === "system")
+      .map((m) => m.text)
+      .join("\n");
+    for (const s of asList(expect.log)) {
+      if (!text.includes(s)) failures.push(`${tag}: log missing "${s}" (got: ${JSON.stringify(text)})`);
+    }
+  }
+  if (expect.aiInput !== undefined) {
+    const text = aiCalls.map((c) => c.input || "").join("\n");
+    for (const s of asList(expect.aiInput)) {
+      if (!text.includes(s)) failures.push(`${tag}: AI input missing "${s}"`);
+    }
+  }
+  if (expect.aiInputExcludes !== undefined) {
+    const text = aiCalls.map((c) => c.input || "").join("\n");
+    for (const s of asList(expect.aiInputExcludes)) {
+      if (text.includes(s)) failures.push(`${tag}: AI input should not contain "${s}"`);
+    }
+  }
+  return failures;
+}
+
+// Returns { failures, transcript }
+async function runScript(script, { log = () => {} } = {}) {
+  const h = createHarness(script.env);
+  const phone = script.phone || DEFAULT_PHONE;
+  const advisor = script.advisor || h.advisor;
+  const leadKey = script.leadKey || phone;
+  const failures = [];
+  const transcript = [];
+
+  try {
+    if (script.lead) h.seed(phone, script.lead);
+
+    for (const [i, step] of script.steps.entries()) {
+      h.openai.reset();
+      if (step.ai) h.openai.script(asList(step.ai));
+      const callsBefore = h.openai.calls.length;
+      const messagesBefore = h.leads[leadKey]?.messages.length || 0;
+      if (step.wait) await new Promise((resolve) => setTimeout(resolve, step.wait));
+
+      const out = await h.send(phone, step.send || "", { ...(script.to ? { To: script.to } : {}), ...step.body });
+      transcript.push(`> ${step.send ? asList(step.send).join(" / ") : JSON.stringify(step.body)}`);
+      for (const m of out) transcript.push(`< [${m.to === advisor ? "asesor" : "cliente"}] ${m.body}`);
+      log(transcript.slice(-1 - out.length).join("\n"));
+
+      if (h.openai.pending()) failures.push(`step ${i + 1}: ${h.openai.pending()} scripted AI output(s) not used`);
+      failures.push(
+        ...checkStep({
+          i,
+          expect: step.expect,
+          out,
+          lead: h.leads[leadKey],
+          phone,
+          advisor,
+          aiCalls: h.openai.calls.slice(callsBefore),
+          newMessages: (h.leads[leadKey]?.messages || []).slice(messagesBefore),
+        })
+      );
+    }
+  } finally {
+    h.cleanup();
+  }
+  return { failures, transcript };
+}
+
+function loadScripts(dir = path.join(__dirname, "conversations")) {
+  return fs
+    .readdirSync(dir)
+    .filter((f) => f.endsWith(".json"))
+    .sort()
+    .map((f) => ({ file: f, script: JSON.parse(fs.readFileSync(path.join(dir, f), "utf8")) }));
+}
+
+module.exports = { createHarness, runScript, loadScripts, fullDecision, ADVISOR, DEFAULT_PHONE };
@@ -0,0 +1,112 @@
+// Operator inbox: the SSE feed (/inbox/events) and take over / reply / hand back through the admin API
+const test = require("node:test");
+const assert = require("node:assert");
+const http = require("http");
+const request = require("supertest");
+const { createHarness, DEFAULT_PHONE } = require("./harness");
+
+const TOKEN = "inbox-test";
+const phone = DEFAULT_PHONE;
+
+// Connects to /inbox/events and collects { event, data } as they arrive
+function openFeed(port, headers = { "x-debug-token": TOKEN }) {
+  return new Promise((resolve, reject) => {
+    const req = http.get({ port, path: "/inbox/events", headers }, (res) => {
+      const events = [];
+      let buf = "";
+      res.setEncoding("utf8");
+      res.on("data", (chunk) => {
+        buf += chunk;
+        let end;
+        while ((end = buf.indexOf("\n\n")) !== -1) {
+          const block = buf.slice(0, end);
+          buf = buf.slice(end + 2);
+          const event = block.match(/^event: (.+)$/m)?.[1];
+          const data = block.match(/^data: (.+)$/m)?.[1];
+          if (event) events.push({ event, data: JSON.parse(data) });
+        }
+      });
+      resolve({ res, events, close: () => req.destroy() });
+    });
+    req.on("error", reject);
+  });
+}
+
+async function waitFor(events, match, ms = 1000) {
+  const until = Date.now() + ms;
+  while (Date.now() < until) {
+    const hit = events.find(match);
+    if (hit) return hit;
+    await new Promise((r) => setTimeout(r, 5));
+  }
+  assert.fail(`no matching event in ${JSON.stringify(events.map((e) => e.event))}`);
+}
+
+test("inbox feed: hello, then every lead change and message as it happens", async (t) => {
+  const h = createHarness({ DEBUG_TOKEN: TOKEN });
+  const server = h.app.listen(0);
+  t.after(() => {
+    server.close();
+    h.cleanup();
+  });
+  const { port } = server.address();
+
+  const denied = await openFeed(port, {});
+  assert.strictEqual(denied.res.statusCode, 401);
+  denied.close();
+
+  const feed = await openFeed(port);
+  t.after(() => feed.close());
+  assert.strictEqual(feed.res.statusCode, 200);
+  assert.match(feed.res.headers["content-type"], /^text\/event-stream/);
+  await waitFor(feed.events, (e) => e.event === "hello");
+
+  h.openai.script([{ reply: "¡Hola! ¿Qué estás buscando?", name: "Ana" }]);
+  await h.send(phone, "hola soy Ana");
+
+  const inbound = await waitFor(feed.events, (e) => e.event === "message" && e.data.message.from === "lead");
+  assert.deepStrictEqual([inbound.data.phone, inbound.data.message.text], [phone, "hola soy Ana"]);
+  await waitFor(feed.events, (e) => e.event === "message" && e.data.message.text === "¡Hola! ¿Qué estás buscando?");
+  await waitFor(feed.events, (e) => e.event === "lead" && e.data.name === "Ana");
+});
+
+test("take over, reply and hand back: the bot stays quiet in between", async (t) => {
+  const h = createHarness({ DEBUG_TOKEN: TOKEN });
+  t.after(() => h.cleanup());
+  const admin = (action, body = {}) =>
+    request(h.app)
+      .post(`/admin/leads/${encodeURIComponent(phone)}/${action}`)
+      .set("x-debug-token", TOKEN)
+      .send({ author: "Marta", ...body });
+
+  h.openai.script([{ reply: "¡Hola! ¿Qué estás buscando?" }]);
+  await h.send(phone, "hola");
+  const lead = h.leads[phone];
+
+  // Take over
+  assert.strictEqual((await admin("pause")).body.lead.botPaused, true);
+  assert.deepStrictEqual(await h.send(phone, "¿me llamás?"), []);
+  assert.strictEqual(h.openai.calls.length, 1, "no AI call while taken over");
+
+  // Operator reply: sent to the customer and recorded as the agent's
+  const sentBefore = h.twilio.sent.length;
+  assert.strictEqual((await admin("messages", { text: "Hola, soy Marta. Te llamo en 5'" })).status, 200);
+  assert.deepStrictEqual(
+    h.twilio.sent.slice(sentBefore).map((m) => [m.to, m.body]),
+    [[`whatsapp:${phone}`, "Hola, soy Marta. Te llamo en 5'"]]
+  );
+  assert.deepStrictEqual(
+    lead.messages.filter((m) => m.from === "agent").map((m) => [m.author, m.text]),
+    [["Marta", "Hola, soy Marta. Te llamo en 5'"]]
+  );
+
+  // Hand back
+  assert.strictEqual((await admin("resume")).body.lead.botPaused, false);
+  h.openai.script([{ reply: "¡Genial! ¿Algo más en lo que te ayude?" }]);
+  const out = await h.send(phone, "gracias!");
+  assert.strictEqual(out[0]?.body, "¡Genial! ¿Algo más en lo que te ayude?");
+  assert.deepStrictEqual(
+    lead.messages.filter((m) => m.text.startsWith("ADMIN")).map((m) => m.text),
+    ["ADMIN pause by Marta", "ADMIN resume by Marta"]
+  );
+});
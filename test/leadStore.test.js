@@ -0,0 +1,74 @@
+// Lead persistence (lib/leadStore.js): coalesced async writes, and leads rehydrated on boot
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createLeadStore } = require("../lib/leadStore");
+const { createHarness, DEFAULT_PHONE } = require("./harness");
+
+function tmpDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "caia-store-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test("saves are coalesced per lead and written compact, without runtime fields", async (t) => {
+  const dir = tmpDir(t);
+  const store = createLeadStore({ dir, flushMs: 60000 });
+  const lead = { phone: "+1", messages: [], _queue: Promise.resolve() };
+  for (let i = 0; i < 50; i++) {
+    lead.messages.push({ text: `m${i}` });
+    store.save("+1", lead);
+  }
+  assert.deepStrictEqual(fs.readdirSync(dir), [], "nothing written on the request path");
+
+  await store.flush();
+  const raw = fs.readFileSync(path.join(dir, "+1.json"), "utf8");
+  assert.ok(!raw.includes("\n"));
+  assert.deepStrictEqual(JSON.parse(raw), { phone: "+1", messages: lead.messages });
+  assert.deepStrictEqual(store.loadAll(), [JSON.parse(raw)]);
+});
+
+test("a remove wins over a pending save", async (t) => {
+  const dir = tmpDir(t);
+  const store = createLeadStore({ dir, flushMs: 60000 });
+  store.save("+1", { phone: "+1", messages: [] });
+  await store.flush();
+  store.save("+1", { phone: "+1", messages: [{ text: "otra" }] });
+  await store.remove("+1");
+  await store.flush();
+  assert.deepStrictEqual(fs.readdirSync(dir), []);
+});
+
+test("after a restart leads come back from the store and the conversation carries on", async (t) => {
+  const before = createHarness({ LEAD_STORE: "json" });
+  t.after(() => before.cleanup());
+  before.openai.script([{ reply: "¡Hola Ana! ¿Qué estás buscando?", name: "Ana", zone: "Funes" }]);
+  await before.send(DEFAULT_PHONE, "hola soy Ana de Funes");
+  await before.flush();
+
+  const after = createHarness({ LEAD_STORE: "json", LEAD_STORE_DIR: path.join(before.tmp, "store") });
+  t.after(() => after.cleanup());
+  const server = await after.start();
+  t.after(() => server.close());
+
+  const lead = after.leads[DEFAULT_PHONE];
+  assert.deepStrictEqual([lead.name, lead.zone], ["Ana", "Funes"]);
+  assert.deepStrictEqual(
+    lead.messages.filter((m) => m.from !== "system").map((m) => [m.from, m.text]),
+    [
+      ["lead", "hola soy Ana de Funes"],
+      ["bot", "¡Hola Ana! ¿Qué estás buscando?"],
+    ]
+  );
+
+  // Twilio retrying the first message after the restart: already recorded, dropped
+  assert.deepStrictEqual(await after.send(DEFAULT_PHONE, "hola soy Ana de Funes", { MessageSid: "SMsim1" }), []);
+
+  after.openai.script([{ reply: "¡Genial! ¿Para qué ambiente?", intentSummary: "roller" }]);
+  const [reply] = await after.send(DEFAULT_PHONE, "busco un roller", { MessageSid: "SMafter1" });
+  assert.strictEqual(reply.body, "¡Genial! ¿Para qué ambiente?");
+  assert.match(after.openai.calls[0].input, /¡Hola Ana! ¿Qué estás buscando\?/);
+  assert.strictEqual(lead.messages.filter((m) => m.from === "lead").length, 2);
+});
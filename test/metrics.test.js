@@ -0,0 +1,91 @@
+// Prometheus rendering + per-day totals (lib/metrics.js), and /metrics, /metrics/daily against the app
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const request = require("supertest");
+const { createMetrics } = require("../lib/metrics");
+const { createHarness, DEFAULT_PHONE } = require("./harness");
+
+test("histograms render cumulative buckets, +Inf, sum and count", () => {
+  const m = createMetrics({ prefix: "t_" });
+  const h = m.histogram("latency_seconds", "Latency", { buckets: [1, 3, 10] });
+  for (const v of [0.4, 2.5, 50]) h.observe({ model: "a" }, v);
+
+  const lines = m.render().trim().split("\n");
+  assert.deepStrictEqual(lines, [
+    "# HELP t_latency_seconds Latency",
+    "# TYPE t_latency_seconds histogram",
+    't_latency_seconds_bucket{model="a",le="1"} 1',
+    't_latency_seconds_bucket{model="a",le="3"} 2',
+    't_latency_seconds_bucket{model="a",le="10"} 2',
+    't_latency_seconds_bucket{model="a",le="+Inf"} 3',
+    't_latency_seconds_sum{model="a"} 52.9',
+    't_latency_seconds_count{model="a"} 3',
+  ]);
+});
+
+test("label values are escaped and label sets sorted", () => {
+  const m = createMetrics({ prefix: "t_" });
+  const c = m.counter("dropped_total", "Dropped");
+  c.inc({ tenant: "x", reason: 'a"b\\c\nd' });
+  c.inc({ reason: 'a"b\\c\nd', tenant: "x" }, 2);
+  m.gauge("up", "Up", () => [{ labels: {}, value: 1 }]);
+
+  const text = m.render();
+  assert.ok(text.includes('t_dropped_total{reason="a\\"b\\\\c\\nd",tenant="x"} 3\n'), text);
+  assert.ok(text.includes("# TYPE t_up gauge\nt_up 1\n"), text);
+});
+
+test("daily totals are kept per local date and survive a restart", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "caia-metrics-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "daily.json");
+
+  const before = createMetrics({ file });
+  before.counter("handoffs_total", "").inc({ type: "price" });
+  before.histogram("ai_latency_seconds", "").observe({ model: "m" }, 1.5);
+  before.save();
+
+  const after = createMetrics({ file });
+  assert.deepStrictEqual(after.day(after.today()), {
+    'handoffs_total{type="price"}': 1,
+    'ai_latency_seconds_count{model="m"}': 1,
+    'ai_latency_seconds_sum{model="m"}': 1.5,
+  });
+  assert.strictEqual(after.render(), "\n", "Prometheus counters start from zero");
+});
+
+test("/metrics and /metrics/daily: exposition and the day's funnel", async (t) => {
+  const h = createHarness({ DEBUG_TOKEN: "t" });
+  t.after(() => h.cleanup());
+  h.openai.script([{ reply: "¡Hola Ana! ¿De qué zona sos?", name: "Ana", intentSummary: "roller para living" }]);
+  await h.send(DEFAULT_PHONE, "hola soy Ana, busco roller para el living");
+  h.openai.script([{ reply: "Hola, ¿qué estás buscando?" }]);
+  await h.send("+5493410000002", "hola");
+
+  const prom = await request(h.app).get("/metrics").set("x-debug-token", "t").expect(200);
+  assert.match(prom.headers["content-type"], /version=0\.0\.4/);
+  assert.match(prom.text, /^caia_inbound_messages_total\{from="lead",tenant="default"\} 2$/m);
+  assert.match(prom.text, /^# TYPE caia_ai_latency_seconds histogram$/m);
+  assert.match(prom.text, /^caia_ai_latency_seconds_bucket\{model="[^"]+",le="\+Inf"\} 2$/m);
+  assert.match(prom.text, /^caia_leads\{status="open",tenant="default"\} 2$/m);
+
+  const daily = await request(h.app).get("/metrics/daily").set("x-debug-token", "t").expect(200);
+  const funnel = Object.fromEntries(daily.body.funnel.map((f) => [f.stage, [f.leads, f.pct]]));
+  assert.deepStrictEqual(funnel, {
+    first_message: [2, 100],
+    intent: [1, 50],
+    name: [1, 50],
+    zone: [0, 0],
+    availability: [0, 0],
+    handoff: [0, 0],
+  });
+  assert.strictEqual(daily.body.counters['inbound_messages_total{from="lead",tenant="default"}'], 2);
+  assert.ok(Object.values(daily.body.aiLatencyAvgSeconds).every((v) => v >= 0));
+
+  const other = await request(h.app).get("/metrics/daily?date=2020-01-01").set("x-debug-token", "t").expect(200);
+  assert.strictEqual(other.body.funnel[0].leads, 0);
+  await request(h.app).get("/metrics").set("x-debug-token", "wrong").expect(401);
+});
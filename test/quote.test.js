@@ -0,0 +1,23 @@
+// Quote items (lib/quote.js): sizes to meters with the sanity limit, and what a price estimate makes of them
+const test = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const { MAX_SIDE_M, normalizeQuoteItem, toMeters } = require("../lib/quote");
+const { createPriceEstimator } = require("../lib/pricing");
+
+test("toMeters: meters as given, over 10 as centimeters, past the limit as not said", () => {
+  assert.strictEqual(toMeters("1,20"), 1.2);
+  assert.strictEqual(toMeters(2.5), 2.5);
+  assert.strictEqual(toMeters("150"), 1.5);
+  assert.strictEqual(toMeters(1000), MAX_SIDE_M);
+  assert.strictEqual(toMeters("1500"), 0);
+  assert.strictEqual(toMeters(250000), 0);
+  for (const v of ["", "abc", -1, 0, null]) assert.strictEqual(toMeters(v), 0);
+});
+
+test("an oversized item is never estimated: it's missing its measurements", () => {
+  const { estimate } = createPriceEstimator({ file: path.join(__dirname, "..", "config", "prices.json") });
+  const item = normalizeQuoteItem({ product: "roller", width_m: "1500", height_m: "150", quantity: 1 });
+  assert.deepStrictEqual([item.width_m, item.height_m], [0, 1.5]);
+  assert.strictEqual(estimate([item]).reason, "missing_measurements");
+});
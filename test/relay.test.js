@@ -0,0 +1,69 @@
+// Advisor <-> customer relay after a handoff: "#REF mensaje" routing, quoted replies, unknown refs, commands
+const test = require("node:test");
+const assert = require("node:assert");
+const { createHarness, ADVISOR, DEFAULT_PHONE } = require("./harness");
+
+const customer = `whatsapp:${DEFAULT_PHONE}`;
+
+// Advisor messages run on their own queue, which the harness doesn't settle: wait for the answer
+async function advisorSays(h, text, extra = {}) {
+  const before = h.twilio.sent.length;
+  await h.send(ADVISOR.replace("whatsapp:", ""), text, extra);
+  for (let i = 0; i < 200 && h.twilio.sent.length === before; i++) await new Promise((r) => setTimeout(r, 5));
+  return h.twilio.sent.slice(before).map((m) => [m.to, m.body]);
+}
+
+test("relay: the advisor writes by #REF or by quoting, the customer's replies go back to the advisor", async (t) => {
+  const h = createHarness();
+  t.after(() => h.cleanup());
+  h.seed(DEFAULT_PHONE, { name: "Ana", zone: "Funes", intentSummary: "roller para living" });
+
+  h.openai.script([{ reply: "¡Listo! Te paso con un asesor.", handoff_intent: "price" }]);
+  const handoff = await h.send(DEFAULT_PHONE, "quiero presupuesto");
+  const lead = h.leads[DEFAULT_PHONE];
+  const ref = lead.ref;
+  assert.match(ref, /^[A-Z2-9]{4}$/);
+  assert.ok(handoff.some((m) => m.to === ADVISOR && m.body.includes(`Ref: #${ref}`)));
+
+  assert.deepStrictEqual(await advisorSays(h, `#${ref.toLowerCase()} Hola Ana, soy Marta`), [
+    [customer, "Hola Ana, soy Marta"],
+  ]);
+  assert.strictEqual(lead.messages.at(-1).from, "advisor");
+
+  const relayed = await h.send(DEFAULT_PHONE, "¡genial! ¿cuándo me llamás?");
+  assert.deepStrictEqual(
+    relayed.map((m) => [m.to, m.body]),
+    [[ADVISOR, `💬 #${ref} Ana: ¡genial! ¿cuándo me llamás?`]]
+  );
+  assert.strictEqual(h.openai.calls.length, 1, "relayed text doesn't go to the AI");
+
+  // WhatsApp "reply" on the relayed message, no ref typed
+  assert.deepStrictEqual(await advisorSays(h, "Mañana a las 10", { OriginalRepliedMessageSid: relayed[0].sid }), [
+    [customer, "Mañana a las 10"],
+  ]);
+
+  const [[to, unknown]] = await advisorSays(h, "#ZZZZ hola");
+  assert.strictEqual(to, ADVISOR);
+  assert.match(unknown, /^No encontré el cliente #ZZZZ\./);
+  assert.match((await advisorSays(h, "hola"))[0][1], /^Para escribirle a un cliente: #REF/);
+  assert.strictEqual(lead.messages.filter((m) => m.from === "advisor").length, 2);
+
+  assert.deepStrictEqual(await advisorSays(h, `#${ref} #bot`), [[ADVISOR, `🤖 #${ref} vuelve a Caia.`]]);
+  assert.strictEqual(lead.handedOff, false);
+  assert.strictEqual(lead.relay.active, false);
+});
+
+test("relay: #cerrar closes the lead, and the bot stays quiet afterwards", async (t) => {
+  const h = createHarness();
+  t.after(() => h.cleanup());
+  h.seed(DEFAULT_PHONE, { name: "Ana", zone: "Funes", intentSummary: "roller para living" });
+  h.openai.script([{ reply: "¡Listo! Te paso con un asesor.", handoff_intent: "price" }]);
+  await h.send(DEFAULT_PHONE, "quiero presupuesto");
+  const lead = h.leads[DEFAULT_PHONE];
+
+  assert.deepStrictEqual(await advisorSays(h, `#cerrar #${lead.ref}`), [[ADVISOR, `✅ #${lead.ref} cerrado.`]]);
+  assert.strictEqual(lead.closed, true);
+
+  assert.deepStrictEqual(await h.send(DEFAULT_PHONE, "gracias!"), []);
+  assert.strictEqual(lead.messages.at(-1).text, "CLOSED: mensaje registrado sin respuesta");
+});
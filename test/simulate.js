@@ -0,0 +1,26 @@
+// Conversation simulator: prints the transcript of one script and its failures
+// Usage: npm run simulate -- test/conversations/01-price-handoff.json
+const fs = require("fs");
+const path = require("path");
+const { runScript } = require("./harness");
+
+async function main() {
+  const file = process.argv[2];
+  if (!file) {
+    console.error("Usage: npm run simulate -- <script.json>");
+    process.exit(1);
+  }
+  const script = JSON.parse(fs.readFileSync(path.resolve(file), "utf8"));
+  const { failures } = await runScript(script, { log: (s) => console.log(s) });
+
+  if (failures.length) {
+    console.error(`\n✗ ${failures.length} failure(s):\n- ${failures.join("\n- ")}`);
+    process.exit(1);
+  }
+  console.log("\n✓ OK");
+}
+
+main().catch((e) => {
+  console.error("ERROR:", e.message || e);
+  process.exit(1);
+});
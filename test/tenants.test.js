@@ -0,0 +1,78 @@
+// Per-tenant resources that the scenario runner can't see: each tenant books on its own calendar
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const request = require("supertest");
+const { createHarness, DEFAULT_PHONE } = require("./harness");
+
+test("a tenant with its own calendarFile books there, not on the default calendar", async (t) => {
+  const h = createHarness({ DEBUG_TOKEN: "t" });
+  t.after(() => h.cleanup());
+  const toldosCalendar = path.join(h.tmp, "calendar-toldos.json");
+  fs.writeFileSync(
+    path.join(h.tmp, "tenants.json"),
+    JSON.stringify({
+      default: "cortinas",
+      tenants: [
+        { id: "cortinas", from: "whatsapp:+14155238886", brand: "Cortinas Argentinas" },
+        { id: "toldos", from: "whatsapp:+5493415559000", brand: "Toldos del Litoral", calendarFile: toldosCalendar },
+      ],
+    })
+  );
+  const to = { To: "whatsapp:+5493415559000" };
+
+  h.openai.script([
+    { reply: "¡Dale!", name: "Juan", zone: "Rosario", intentSummary: "toldo vertical", handoff_intent: "visit" },
+  ]);
+  const offer = await h.send(DEFAULT_PHONE, "soy Juan de Rosario, quiero que vengan a medir un toldo", to);
+  assert.match(offer[0]?.body || "", /Tengo estos horarios/);
+  const booked = await h.send(DEFAULT_PHONE, "1", to);
+  assert.match(booked[0]?.body || "", /Te agendé la visita/);
+
+  const visits = (file) => JSON.parse(fs.readFileSync(file, "utf8")).events.filter((e) => e.kind === "visit");
+  assert.deepStrictEqual(
+    visits(toldosCalendar).map((e) => e.name),
+    ["Juan"]
+  );
+  assert.ok(!fs.existsSync(path.join(h.tmp, "calendar.json")) || !visits(path.join(h.tmp, "calendar.json")).length);
+
+  const debug = await request(h.app).get("/debug/calendar?tenant=toldos").set("x-debug-token", "t").expect(200);
+  assert.strictEqual(debug.body.events.length, 1);
+  const other = await request(h.app).get("/debug/calendar").set("x-debug-token", "t").expect(200);
+  assert.strictEqual(other.body.events.length, 0);
+});
+
+test("the AI-outage fallback and BAJA confirmation come from the tenant's texts and flow, not the curtain copy", async (t) => {
+  const h = createHarness({ AI_TIMEOUT_MAIN: "20", AI_TIMEOUT_RETRY: "20" });
+  t.after(() => h.cleanup());
+  fs.writeFileSync(
+    path.join(h.tmp, "tenants.json"),
+    JSON.stringify({
+      default: "cortinas",
+      tenants: [
+        { id: "cortinas", from: "whatsapp:+14155238886", brand: "Cortinas Argentinas" },
+        {
+          id: "toldos",
+          from: "whatsapp:+5493415559000",
+          brand: "Toldos del Litoral",
+          texts: { fallback: "Se me cortó 😅 ¿Es para balcón o terraza?", optOut: "Listo, te damos de baja." },
+        },
+      ],
+    })
+  );
+  const to = { To: "whatsapp:+5493415559000" };
+  const lead = () => h.leads[`toldos:${DEFAULT_PHONE}`];
+
+  h.openai.script(["timeout", "timeout"]);
+  const [ask] = await h.send(DEFAULT_PHONE, "hola", to);
+  assert.strictEqual(ask.body, "Disculpá, tuve un problema técnico. ¿Me contás qué estás buscando (en 1 frase)?");
+
+  Object.assign(lead(), { intentSummary: "toldo de brazo", name: "Juan", zone: "Rosario" });
+  h.openai.script(["timeout", "timeout"]);
+  const [generic] = await h.send(DEFAULT_PHONE, "hola?", to);
+  assert.strictEqual(generic.body, "Se me cortó 😅 ¿Es para balcón o terraza?");
+
+  const [bye] = await h.send(DEFAULT_PHONE, "BAJA", to);
+  assert.strictEqual(bye.body, "Listo, te damos de baja.");
+});
@@ -0,0 +1,74 @@
+// Webhook guards (lib/twilioWebhook.js): X-Twilio-Signature, MessageSid dedupe, and dedupe across a restart
+const test = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const request = require("supertest");
+const twilio = require("twilio");
+const { createHarness, DEFAULT_PHONE } = require("./harness");
+
+const BASE_URL = "https://caia.example.com";
+
+test("only POSTs signed with our auth token for the public URL get through", async (t) => {
+  const h = createHarness({ TWILIO_VALIDATE_SIGNATURE: "true", PUBLIC_BASE_URL: BASE_URL });
+  t.after(() => h.cleanup());
+  const body = { From: `whatsapp:${DEFAULT_PHONE}`, Body: "hola", MessageSid: "SMsigned1" };
+  const post = (signature) =>
+    request(h.app)
+      .post("/whatsapp")
+      .type("form")
+      .set(signature ? { "X-Twilio-Signature": signature } : {})
+      .send(body);
+
+  await post("").expect(403);
+  await post(twilio.getExpectedTwilioSignature("otro-token", `${BASE_URL}/whatsapp`, body)).expect(403);
+  await post(twilio.getExpectedTwilioSignature("test", "http://127.0.0.1/whatsapp", body)).expect(403);
+  assert.strictEqual(h.leads[DEFAULT_PHONE], undefined, "rejected posts never create a lead");
+
+  h.openai.script([{ reply: "¡Hola! ¿Qué estás buscando?" }]);
+  await post(twilio.getExpectedTwilioSignature("test", `${BASE_URL}/whatsapp`, body)).expect(200);
+  const lead = h.leads[DEFAULT_PHONE];
+  await lead._queue;
+  assert.deepStrictEqual(
+    lead.messages.filter((m) => m.from === "lead").map((m) => [m.sid, m.text]),
+    [["SMsigned1", "hola"]]
+  );
+});
+
+test("a retried MessageSid is answered 200 and dropped", async (t) => {
+  const h = createHarness();
+  t.after(() => h.cleanup());
+  h.openai.script([{ reply: "¡Hola! ¿Qué estás buscando?" }]);
+  const first = await h.send(DEFAULT_PHONE, "hola", { MessageSid: "SMretry1" });
+  assert.strictEqual(first.length, 1);
+
+  assert.deepStrictEqual(await h.send(DEFAULT_PHONE, "hola", { MessageSid: "SMretry1" }), []);
+  assert.strictEqual(h.openai.calls.length, 1);
+  assert.strictEqual(h.leads[DEFAULT_PHONE].messages.filter((m) => m.from === "lead").length, 1);
+});
+
+test("a retry of a rate-limited message is still a duplicate after a restart", async (t) => {
+  const env = { LEAD_STORE: "json", RATE_LIMIT_PER_MIN: "1" };
+  const before = createHarness(env);
+  t.after(() => before.cleanup());
+  before.openai.script([{ reply: "¡Hola! ¿Qué estás buscando?" }]);
+  await before.send(DEFAULT_PHONE, "hola", { MessageSid: "SMok1" });
+  const limited = await before.send(DEFAULT_PHONE, "hola??", { MessageSid: "SMlimited1" });
+  assert.match(limited[0]?.body || "", /muchos mensajes seguidos/);
+  assert.ok(!before.leads[DEFAULT_PHONE].messages.some((m) => m.sid === "SMlimited1"), "never recorded");
+  await before.flush();
+
+  const after = createHarness({
+    ...env,
+    LEAD_STORE_DIR: path.join(before.tmp, "store"),
+    DEDUPE_FILE: path.join(before.tmp, "seen-sids.json"),
+  });
+  t.after(() => after.cleanup());
+  const server = await after.start();
+  t.after(() => server.close());
+
+  for (const MessageSid of ["SMok1", "SMlimited1"]) {
+    assert.deepStrictEqual(await after.send(DEFAULT_PHONE, "hola", { MessageSid }), []);
+  }
+  assert.strictEqual(after.openai.calls.length, 0);
+  assert.strictEqual(after.leads[DEFAULT_PHONE].messages.filter((m) => m.from === "lead").length, 1);
+});